@@ -14,54 +14,583 @@ import {
   PermissionsBitField,
   StringSelectMenuBuilder,
   StringSelectMenuOptionBuilder,
+  AttachmentBuilder,
+  ModalBuilder,
+  ChannelType,
+  TextInputBuilder,
+  TextInputStyle,
   Partials
 } from 'discord.js';
 
 
-const STATE_FILE = '/data/state.json';
+// STATE_BACKEND=json (default) keeps everything in STATE_FILE; STATE_BACKEND=sqlite keeps one
+// row per guild in STATE_SQLITE_FILE and imports STATE_FILE once on first start.
+// The sqlite backend uses the built-in node:sqlite: Node.js 22.13 or newer, or 22.5 to 22.12
+// started with --experimental-sqlite. The json backend runs on any supported Node.js.
+const STATE_BACKEND = (process.env.STATE_BACKEND || 'json').toLowerCase();
+const STATE_FILE = process.env.STATE_FILE || '/data/state.json';
+const STATE_SQLITE_FILE = process.env.STATE_SQLITE_FILE || '/data/state.sqlite';
+
+/* ----------------------------- schema ----------------------------- */
+
+const SCHEMA_VERSION = 3;
+
+// Ordered; each step takes state at version `to - 1` and returns it at version `to`.
+// Files written before schemaVersion existed count as 0 (old layout) or 1 (has `guilds`).
+const MIGRATIONS = [
+  {
+    to: 1,
+    name: 'per-guild sessions',
+    up(raw) {
+      // Old format: { sessions: { "g:<guildId>": sessionObj } }
+      const migrated = { guilds: {} };
+      for (const [k, sess] of Object.entries(raw.sessions || {})) {
+        const guildId = k.startsWith('g:') ? k.slice(2) : k;
+        const sessionId = sess?.id || `s-${guildId}-${Date.now()}`;
+
+        migrated.guilds[guildId] = {
+          currentSessionId: sessionId,
+          sessions: {
+            [sessionId]: {
+              ...sess,
+              id: sessionId,
+              createdAt: sess?.createdAt || Date.now(),
+              signups: sess?.signups || {},
+              lastDraft: sess?.lastDraft || null
+            }
+          }
+        };
+      }
+      return migrated;
+    }
+  },
+  {
+    to: 2,
+    name: 'guild containers and lock bookkeeping',
+    up(state) {
+      for (const guildState of Object.values(state.guilds || {})) {
+        guildState.profiles ||= {};
+        guildState.schedules ||= {};
+        guildState.constraints ||= [];
+        // Locks that passed before lock handling existed shouldn't fire again on restart.
+        for (const session of Object.values(guildState.sessions || {})) {
+          if (session?.lockAt && session.lockAt <= Date.now() && !session.lockHandledAt) {
+            session.lockHandledAt = session.lockAt;
+          }
+        }
+      }
+      return state;
+    }
+  },
+  {
+    to: 3,
+    name: 'guild config',
+    up(state) {
+      for (const guildState of Object.values(state.guilds || {})) guildState.config ||= {};
+      return state;
+    }
+  }
+];
+
+function stateVersion(raw) {
+  if (Number.isInteger(raw?.schemaVersion)) return raw.schemaVersion;
+  return raw?.guilds ? 1 : 0;
+}
+
+function migrateState(raw) {
+  let state = raw && typeof raw === 'object' ? raw : {};
+  const from = stateVersion(state);
+
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Stored state is schema v${from}, but this build only knows up to v${SCHEMA_VERSION}.`);
+  }
+
+  for (const migration of MIGRATIONS) {
+    if (migration.to <= from) continue;
+    state = migration.up(state);
+    state.schemaVersion = migration.to;
+    console.log(`Migrated state to v${migration.to} (${migration.name}).`);
+  }
+
+  state.schemaVersion = SCHEMA_VERSION;
+  state.guilds ||= {};
+  return state;
+}
+
+const isPlainObject = (v) => Boolean(v) && typeof v === 'object' && !Array.isArray(v);
+
+function repairClasses(classes, where, issues) {
+  const repaired = { TANK: null, HEAL: null, DPS: null };
+  if (!isPlainObject(classes)) {
+    issues.push(`${where}: missing classes (reset)`);
+    return repaired;
+  }
+  for (const roleKey of ROLE_KEYS) {
+    const classId = classes[roleKey] ?? null;
+    if (classId === null) continue;
+    if (!ROLE_CLASSES[roleKey].has(classId)) {
+      issues.push(`${where}: unknown ${roleKey} class "${classId}" (cleared)`);
+      continue;
+    }
+    repaired[roleKey] = classId;
+  }
+  return repaired;
+}
+
+// Specs are newer than classes, so a missing map is fine; a spec that doesn't fit the
+// class picked for its role is dropped.
+function repairSpecs(specs, classes, where, issues) {
+  const repaired = { TANK: null, HEAL: null, DPS: null };
+  if (!isPlainObject(specs)) return repaired;
+  for (const roleKey of ROLE_KEYS) {
+    const specId = specs[roleKey] ?? null;
+    if (specId === null) continue;
+    const spec = specInfo(specId);
+    if (!spec || spec.role !== roleKey || spec.classId !== classes[roleKey]) {
+      issues.push(`${where}: ${roleKey} spec "${specId}" does not fit the class (cleared)`);
+      continue;
+    }
+    repaired[roleKey] = specId;
+  }
+  return repaired;
+}
+
+function repairRoles(roles, where, issues) {
+  const valid = [...new Set(Array.isArray(roles) ? roles : [])].filter(r => ROLE_KEYS.includes(r));
+  if (!Array.isArray(roles) || valid.length !== roles.length) issues.push(`${where}: invalid roles (kept ${valid.join('/') || 'none'})`);
+  return valid;
+}
+
+function repairCharacters(characters, where, issues) {
+  if (!Array.isArray(characters)) {
+    issues.push(`${where}: unreadable characters (reset)`);
+    return [];
+  }
+  return characters.filter(c => {
+    const ok = isPlainObject(c) && typeof c.name === 'string' && c.name.trim() &&
+      Array.isArray(c.roles) && c.roles.length > 0 && c.roles.every(role => ROLE_CLASSES[role]?.has(c.classId));
+    if (!ok) {
+      issues.push(`${where}: unreadable character ${c?.name || '?'} (removed)`);
+      return false;
+    }
+    if (c.specs !== undefined) c.specs = repairSpecs(c.specs, characterClasses(c), `${where} ${c.name}`, issues);
+    if (c.rating != null && !isValidRating(c.rating)) {
+      issues.push(`${where} ${c.name}: unreadable rating (cleared)`);
+      c.rating = null;
+    }
+    return true;
+  });
+}
+
+// The class a character brings to each role it plays, in the signup `classes` shape.
+function characterClasses(character) {
+  return Object.fromEntries(ROLE_KEYS.map(role => [role, character.roles.includes(role) ? character.classId : null]));
+}
+
+// Signups and profiles share the roles / mainRole / classes / rating / characters shape.
+function repairRoleInfo(info, where, issues) {
+  info.roles = repairRoles(info.roles, where, issues);
+  info.classes = repairClasses(info.classes, where, issues);
+  if (info.specs !== undefined) info.specs = repairSpecs(info.specs, info.classes, where, issues);
+  info.rating = repairRating(info.rating, where, issues);
+  if (info.characters !== undefined) info.characters = repairCharacters(info.characters, where, issues);
+  if (info.mainRole && !info.roles.includes(info.mainRole)) {
+    issues.push(`${where}: main role ${info.mainRole} is not a signed-up role (cleared)`);
+    info.mainRole = null;
+  }
+}
+
+const MAX_RATING = 5000;
+
+function isValidRating(rating) {
+  return Number.isInteger(rating) && rating >= 0 && rating <= MAX_RATING;
+}
+
+function repairRating(rating, where, issues) {
+  if (rating === null || rating === undefined) return null;
+  if (isValidRating(rating)) return rating;
+  issues.push(`${where}: unreadable rating (cleared)`);
+  return null;
+}
+
+function repairKeystone(keystone, where, issues) {
+  if (!keystone) return null;
+  const level = Number(keystone.level);
+  if (typeof keystone.dungeon !== 'string' || !keystone.dungeon.trim() || !Number.isInteger(level) || level < 2 || level > 40) {
+    issues.push(`${where}: unreadable keystone (cleared)`);
+    return null;
+  }
+  return { ...keystone, level };
+}
+
+// `signups` given: players who are no longer signed up are dropped from the draft.
+function repairDraft(draft, signups, where, issues) {
+  if (!isPlainObject(draft) || !Array.isArray(draft.groups)) {
+    issues.push(`${where}: unreadable draft (dropped)`);
+    return null;
+  }
+  if (draft.template !== undefined && !isValidTemplate(draft.template)) {
+    issues.push(`${where}: unreadable activity template (reset to Mythic+)`);
+    delete draft.template;
+  }
+
+  const repairPlayer = (p, label) => {
+    if (!p) return null;
+    if (!isPlainObject(p) || !p.id) {
+      issues.push(`${where}: unreadable player in ${label} (removed)`);
+      return null;
+    }
+    if (signups && !signups[p.id]) {
+      issues.push(`${where}: ${p.name || p.id} in ${label} is no longer signed up (removed)`);
+      return null;
+    }
+    p.name ||= signups?.[p.id]?.displayName || p.id;
+    p.roles = Array.isArray(p.roles) ? p.roles.filter(r => ROLE_KEYS.includes(r)) : [...(signups?.[p.id]?.roles || [])];
+    p.classes = isPlainObject(p.classes) ? p.classes : { ...(signups?.[p.id]?.classes || {}) };
+    return p;
+  };
+
+  draft.groups = draft.groups.filter(isPlainObject);
+  draft.groups.forEach((g, gi) => {
+    for (const slot of Object.keys(g)) {
+      if (SLOT_KEY_PATTERN.test(slot)) g[slot] = repairPlayer(g[slot] || null, `Group ${gi + 1}`);
+      else delete g[slot];
+    }
+  });
+  draft.bench = (Array.isArray(draft.bench) ? draft.bench : [])
+    .map(p => repairPlayer(p, 'bench'))
+    .filter(Boolean);
+  if (!Array.isArray(draft.notes)) draft.notes = [];
+  if (!Array.isArray(draft.constraints)) draft.constraints = [];
+  return draft;
+}
+
+function isValidTemplate(template) {
+  if (!isPlainObject(template) || !isPlainObject(template.slots)) return false;
+  if (!ROLE_KEYS.every(role => Number.isInteger(template.slots[role]) && template.slots[role] >= 0)) return false;
+  const size = groupSize(template);
+  return size >= 1 && size <= MAX_GROUP_SIZE;
+}
+
+function repairSession(session, sid, where, issues) {
+  session.id = sid;
+  if (session.template !== undefined && !isValidTemplate(session.template)) {
+    issues.push(`${where}: unreadable activity template (reset to Mythic+)`);
+    delete session.template;
+  }
+  if (!Number.isFinite(session.createdAt)) session.createdAt = Date.now();
+  if (session.startAt != null && !Number.isFinite(session.startAt)) {
+    issues.push(`${where}: unreadable start time (cleared)`);
+    session.startAt = null;
+  }
+  if (session.reminders !== undefined && !isPlainObject(session.reminders)) {
+    issues.push(`${where}: unreadable reminders (reset)`);
+    session.reminders = {};
+  }
+  if (session.attendance !== undefined) {
+    if (!isPlainObject(session.attendance)) {
+      issues.push(`${where}: unreadable attendance (reset)`);
+      session.attendance = {};
+    }
+    for (const [userId, entry] of Object.entries(session.attendance)) {
+      if (isPlainObject(entry) && (entry.status === 'present' || entry.status === 'noshow')) {
+        entry.name ||= session.signups?.[userId]?.displayName || userId;
+        continue;
+      }
+      issues.push(`${where}: unreadable attendance for ${userId} (removed)`);
+      delete session.attendance[userId];
+    }
+  }
+
+  if (!isPlainObject(session.signups)) {
+    if (session.signups) issues.push(`${where}: unreadable signups (reset)`);
+    session.signups = {};
+  }
+  for (const [userId, info] of Object.entries(session.signups)) {
+    if (!isPlainObject(info)) {
+      issues.push(`${where}: unreadable signup for ${userId} (removed)`);
+      delete session.signups[userId];
+      continue;
+    }
+    const who = `${where} signup ${info.displayName || userId}`;
+    repairRoleInfo(info, who, issues);
+    info.keystone = repairKeystone(info.keystone, who, issues);
+  }
+
+  if (session.standby !== undefined) {
+    if (!isPlainObject(session.standby)) {
+      issues.push(`${where}: unreadable standby list (reset)`);
+      session.standby = {};
+    }
+    for (const [userId, info] of Object.entries(session.standby)) {
+      if (!isPlainObject(info) || session.signups[userId]) {
+        issues.push(`${where}: bad standby entry for ${userId} (removed)`);
+        delete session.standby[userId];
+        continue;
+      }
+      repairRoleInfo(info, `${where} standby ${info.displayName || userId}`, issues);
+    }
+  }
+
+  session.lastDraft = session.lastDraft ? repairDraft(session.lastDraft, session.signups, `${where} draft`, issues) : null;
+
+  if (session.draftRevisions !== undefined) {
+    // Old revisions are history, so players who left since are kept in them.
+    const revisions = Array.isArray(session.draftRevisions) ? session.draftRevisions : [];
+    session.draftRevisions = revisions.filter(r =>
+      isPlainObject(r) && repairDraft(r.draft, null, `${where} revision ${r.rev ?? '?'}`, issues)
+    );
+    if (session.draftRevisions.length !== revisions.length) {
+      session.draftRevisionIndex = session.draftRevisions.length - 1;
+    }
+    const last = session.draftRevisions.length - 1;
+    if (!Number.isInteger(session.draftRevisionIndex) || session.draftRevisionIndex > last) {
+      session.draftRevisionIndex = last;
+    }
+  }
+}
+
+const MAX_SOLVER_ATTEMPTS = 5000;
+
+const CONFIG_CHECKS = {
+  officerRoleIds: v => Array.isArray(v) && v.every(id => typeof id === 'string'),
+  signupChannelId: v => typeof v === 'string',
+  lockOffsetMinutes: v => Number.isInteger(v) && v > 0,
+  solverAttempts: v => Number.isInteger(v) && v > 0 && v <= MAX_SOLVER_ATTEMPTS,
+  publicReadOnly: v => typeof v === 'boolean',
+  publishThreads: v => typeof v === 'boolean',
+  publishDms: v => typeof v === 'boolean',
+  lockReminderMinutes: v => Number.isInteger(v) && v >= 0,
+  startReminderMinutes: v => Number.isInteger(v) && v >= 0,
+  reminderDelivery: v => v === 'dm' || v === 'ping',
+  checkInMinutes: v => Number.isInteger(v) && v > 0,
+  autoReplace: v => typeof v === 'boolean'
+};
+
+// Repairs what it can in place and returns a readable line per problem found.
+function validateState(state) {
+  const issues = [];
+
+  for (const [guildId, guildState] of Object.entries(state.guilds)) {
+    if (!isPlainObject(guildState)) {
+      issues.push(`guild ${guildId}: unreadable (removed)`);
+      delete state.guilds[guildId];
+      continue;
+    }
+    ensureGuildState(state, guildId);
+    if (!isPlainObject(guildState.sessions)) guildState.sessions = {};
+
+    for (const [sid, session] of Object.entries(guildState.sessions)) {
+      const where = `guild ${guildId} session ${sid}`;
+      if (!isPlainObject(session)) {
+        issues.push(`${where}: unreadable (removed)`);
+        delete guildState.sessions[sid];
+        continue;
+      }
+      repairSession(session, sid, where, issues);
+    }
+
+    if (guildState.currentSessionId && !guildState.sessions[guildState.currentSessionId]) {
+      issues.push(`guild ${guildId}: current session ${guildState.currentSessionId} is missing (cleared)`);
+      guildState.currentSessionId = null;
+    }
+
+    for (const [userId, profile] of Object.entries(guildState.profiles)) {
+      if (!isPlainObject(profile)) {
+        issues.push(`guild ${guildId}: unreadable profile for ${userId} (removed)`);
+        delete guildState.profiles[userId];
+        continue;
+      }
+      repairRoleInfo(profile, `guild ${guildId} profile ${userId}`, issues);
+    }
+
+    for (const [id, schedule] of Object.entries(guildState.schedules)) {
+      const ok = isPlainObject(schedule) &&
+        Number.isInteger(schedule.weekday) && schedule.weekday >= 0 && schedule.weekday <= 6 &&
+        /^\d{2}:\d{2}$/.test(schedule.time || '') && schedule.channelId &&
+        (schedule.template === undefined || isValidTemplate(schedule.template));
+      if (!ok) {
+        issues.push(`guild ${guildId}: unreadable schedule ${id} (removed)`);
+        delete guildState.schedules[id];
+      }
+    }
+
+    for (const [key, value] of Object.entries(guildState.config)) {
+      if (value !== null && !CONFIG_CHECKS[key]?.(value)) {
+        issues.push(`guild ${guildId}: unreadable config ${key} (reset to default)`);
+        delete guildState.config[key];
+      }
+    }
+
+    const constraints = Array.isArray(guildState.constraints) ? guildState.constraints : [];
+    guildState.constraints = constraints.filter(c =>
+      isPlainObject(c) && (c.type === 'together' || c.type === 'apart') && c.a && c.b && c.a !== c.b
+    );
+    if (guildState.constraints.length !== constraints.length) {
+      issues.push(`guild ${guildId}: dropped ${constraints.length - guildState.constraints.length} unreadable pair/avoid rule(s)`);
+    }
+  }
+
+  return issues;
+}
 
 /* ----------------------------- state helpers ----------------------------- */
 
-function loadState() {
-  if (!fs.existsSync(STATE_FILE)) return { guilds: {} };
-
-  const raw = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
-
-  // New format already
-  if (raw.guilds) return raw;
-
-  // Migrate old format: { sessions: { "g:<guildId>": sessionObj } }
-  const migrated = { guilds: {} };
-  if (raw.sessions) {
-    for (const [k, sess] of Object.entries(raw.sessions)) {
-      const guildId = k.startsWith('g:') ? k.slice(2) : k;
-      const sessionId = sess?.id || `s-${guildId}-${Date.now()}`;
-
-      migrated.guilds[guildId] = {
-        currentSessionId: sessionId,
-        sessions: {
-          [sessionId]: {
-            ...sess,
-            id: sessionId,
-            createdAt: sess.createdAt || Date.now(),
-            // normalize
-            signups: sess.signups || {},
-            lastDraft: sess.lastDraft || null
-          }
-        }
-      };
+function readJsonState(file) {
+  if (!fs.existsSync(file)) return { schemaVersion: SCHEMA_VERSION, guilds: {} };
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function createJsonStore(file) {
+  return {
+    read: () => readJsonState(file),
+
+    // Write to a temp file and rename over the old one, so a crash mid-write never
+    // leaves a truncated state file behind.
+    async write(state) {
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(tmp, JSON.stringify(state, null, 2));
+      await fs.promises.rename(tmp, file);
+    }
+  };
+}
+
+async function createSqliteStore(file, jsonFile) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = await import('node:sqlite'));
+  } catch {
+    throw new Error(
+      `STATE_BACKEND=sqlite needs node:sqlite, which Node.js ${process.versions.node} does not provide. ` +
+      'Use Node.js 22.13 or newer (22.5 to 22.12 need --experimental-sqlite), or STATE_BACKEND=json.'
+    );
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new DatabaseSync(file);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS guilds (guild_id TEXT PRIMARY KEY, data TEXT NOT NULL, updated_at INTEGER NOT NULL);
+    CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+  `);
+
+  const upsert = db.prepare(
+    'INSERT INTO guilds (guild_id, data, updated_at) VALUES (?, ?, ?) ' +
+    'ON CONFLICT(guild_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at'
+  );
+  const remove = db.prepare('DELETE FROM guilds WHERE guild_id = ?');
+  const setMeta = db.prepare(
+    'INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'
+  );
+  const getMeta = (key) => db.prepare('SELECT value FROM meta WHERE key = ?').get(key)?.value ?? null;
+  const written = new Map(); // guildId -> JSON last written, so unchanged guilds are skipped
+
+  const writeGuilds = (state) => {
+    if (state.schemaVersion && String(state.schemaVersion) !== getMeta('schema_version')) {
+      setMeta.run('schema_version', String(state.schemaVersion));
+    }
+
+    const changed = [];
+    for (const [guildId, guildState] of Object.entries(state.guilds || {})) {
+      const json = JSON.stringify(guildState);
+      if (written.get(guildId) !== json) changed.push([guildId, json]);
+    }
+    const removed = [...written.keys()].filter(guildId => !state.guilds?.[guildId]);
+    if (!changed.length && !removed.length) return;
+
+    db.exec('BEGIN');
+    try {
+      for (const [guildId, json] of changed) upsert.run(guildId, json, Date.now());
+      for (const guildId of removed) remove.run(guildId);
+      db.exec('COMMIT');
+    } catch (err) {
+      db.exec('ROLLBACK');
+      throw err;
+    }
+
+    for (const [guildId, json] of changed) written.set(guildId, json);
+    for (const guildId of removed) written.delete(guildId);
+  };
+
+  // One-time import of the JSON state (legacy layouts included).
+  if (!getMeta('imported_json') && fs.existsSync(jsonFile)) {
+    writeGuilds(migrateState(readJsonState(jsonFile)));
+    setMeta.run('imported_json', `${jsonFile} at ${new Date().toISOString()}`);
+    console.log(`Imported ${jsonFile} into ${file}.`);
+  }
+
+  return {
+    read() {
+      const state = { guilds: {} };
+      for (const row of db.prepare('SELECT guild_id, data FROM guilds').all()) {
+        state.guilds[row.guild_id] = JSON.parse(row.data);
+        written.set(row.guild_id, row.data);
+      }
+      // Databases from before schemaVersion existed already had the per-guild layout.
+      const version = getMeta('schema_version');
+      if (version !== null) state.schemaVersion = Number(version);
+      else if (!written.size) state.schemaVersion = SCHEMA_VERSION;
+      return state;
+    },
+
+    async write(state) {
+      writeGuilds(state);
     }
+  };
+}
+
+const store = STATE_BACKEND === 'sqlite'
+  ? await createSqliteStore(STATE_SQLITE_FILE, STATE_FILE)
+  : createJsonStore(STATE_FILE);
+
+let cachedState = null;
+let writeChain = Promise.resolve();
+let writeQueued = false;
+
+// Every handler and timer shares one in-memory state, so two interactions can't
+// overwrite each other with stale copies of the file.
+// Stored state is migrated and repaired once, when it is first loaded.
+function loadState() {
+  if (cachedState) return cachedState;
+
+  const raw = store.read();
+  const from = stateVersion(raw);
+  const state = migrateState(raw);
+  const issues = validateState(state);
+
+  if (issues.length) {
+    console.warn(`Repaired ${issues.length} problem(s) in stored state:`);
+    for (const issue of issues.slice(0, 50)) console.warn(`  - ${issue}`);
+    if (issues.length > 50) console.warn(`  … and ${issues.length - 50} more`);
   }
-  return migrated;
+
+  cachedState = state;
+  if (issues.length || from !== SCHEMA_VERSION) saveState(state);
+  return cachedState;
 }
 
+// Writes run one at a time; saves that arrive while one is already waiting share it.
 function saveState(state) {
-  fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+  cachedState = state;
+  if (writeQueued) return writeChain;
+
+  writeQueued = true;
+  writeChain = writeChain
+    .then(() => {
+      writeQueued = false;
+      return store.write(cachedState);
+    })
+    .catch(err => console.error('Failed to save state:', err));
+  return writeChain;
 }
 
 function ensureGuildState(state, guildId) {
   state.guilds ||= {};
-  state.guilds[guildId] ||= { currentSessionId: null, sessions: {} };
+  state.guilds[guildId] ||= { currentSessionId: null, sessions: {}, profiles: {}, schedules: {}, constraints: [], config: {} };
+  state.guilds[guildId].config = isPlainObject(state.guilds[guildId].config) ? state.guilds[guildId].config : {};
+  state.guilds[guildId].profiles ||= {};
+  state.guilds[guildId].schedules ||= {};
+  state.guilds[guildId].constraints ||= [];
   return state.guilds[guildId];
 }
 
@@ -74,6 +603,66 @@ function getSessionById(guildState, sid) {
   return guildState.sessions?.[sid] || null;
 }
 
+// Commands target the session picked with their `session` option, else the selected one.
+function resolveSession(guildState, sid) {
+  return sid ? getSessionById(guildState, sid) : getCurrentSession(guildState);
+}
+
+function listSessions(guildState) {
+  return Object.values(guildState.sessions || {}).sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+}
+
+function getProfile(guildState, userId) {
+  return guildState.profiles?.[userId] || null;
+}
+
+// Remember a player's latest role / class picks (and rating) so the next session can reuse them.
+// Notes are only ever set through /mplus profile and are kept as-is.
+function rememberProfile(guildState, userId, info) {
+  guildState.profiles ||= {};
+  const prev = guildState.profiles[userId] || {};
+  guildState.profiles[userId] = {
+    roles: [...(info.roles || [])],
+    mainRole: info.mainRole || null,
+    classes: { TANK: null, HEAL: null, DPS: null, ...(info.classes || {}) },
+    specs: { TANK: null, HEAL: null, DPS: null, ...(info.specs || {}) },
+    rating: info.rating ?? prev.rating ?? null,
+    characters: prev.characters || [],
+    notes: prev.notes || '',
+    updatedAt: Date.now()
+  };
+}
+
+function findConstraint(guildState, type, a, b) {
+  return (guildState.constraints || []).find(c =>
+    c.type === type && ((c.a === a && c.b === b) || (c.a === b && c.b === a))
+  ) || null;
+}
+
+function isSessionLocked(session) {
+  return Boolean(session?.lockAt) && Date.now() >= session.lockAt;
+}
+
+// After the lock or once groups are posted the roster is fixed: people already signed up
+// can only leave, and anyone new lands on the standby list.
+function signupsClosed(session) {
+  return isSessionLocked(session) || Boolean(session?.published);
+}
+
+// Standby entries remember when they joined so replacements go first come, first served.
+function newSignup(displayName, standby = false) {
+  const info = { roles: [], displayName, classes: { TANK: null, HEAL: null, DPS: null }, specs: { TANK: null, HEAL: null, DPS: null } };
+  if (standby) info.joinedAt = Date.now();
+  return info;
+}
+
+// The roster a player's signup buttons write to, or null when their signup is frozen.
+function signupRoster(session, userId) {
+  if (!signupsClosed(session)) return (session.signups ||= {});
+  if (session.signups?.[userId]) return null;
+  return (session.standby ||= {});
+}
+
 function pruneOldSessions(guildState, keep = 12) {
   const entries = Object.entries(guildState.sessions || {});
   entries.sort((a, b) => (b[1].createdAt || 0) - (a[1].createdAt || 0));
@@ -83,19 +672,156 @@ function pruneOldSessions(guildState, keep = 12) {
   }
 }
 
+/* ----------------------------- guild config ----------------------------- */
+
+const DEFAULT_CONFIG = {
+  officerRoleIds: [],
+  signupChannelId: null,
+  lockOffsetMinutes: null,
+  solverAttempts: 200,
+  publicReadOnly: false,
+  publishThreads: false,
+  publishDms: true,
+  lockReminderMinutes: 30, // 0 = off
+  startReminderMinutes: 15,
+  reminderDelivery: 'dm',
+  checkInMinutes: 30,
+  autoReplace: false
+};
+
+function getGuildConfig(guildState) {
+  return { ...DEFAULT_CONFIG, ...(guildState?.config || {}) };
+}
+
+function describeConfig(config) {
+  return [
+    `**Officer roles:** ${config.officerRoleIds.length ? config.officerRoleIds.map(id => `<@&${id}>`).join(', ') : '_none — Manage Server / Manage Messages count as officer_'}`,
+    `**Signup channel:** ${config.signupChannelId ? `<#${config.signupChannelId}>` : '_where the command is run_'}`,
+    `**Default lock:** ${config.lockOffsetMinutes ? `${config.lockOffsetMinutes} min after posting` : '_no lock_'}`,
+    `**Solver attempts:** ${config.solverAttempts}`,
+    `**Read-only commands for everyone:** ${config.publicReadOnly ? 'yes' : 'no'}`,
+    `**On publish:** ${config.publishThreads ? 'private thread per group' : 'no group threads'}, ${config.publishDms ? 'DM players' : 'no DMs'}`,
+    `**Reminders:** ${config.lockReminderMinutes ? `${config.lockReminderMinutes} min before lock` : '_none before lock_'}, ` +
+      `${config.startReminderMinutes ? `${config.startReminderMinutes} min before start` : '_none before start_'}, ` +
+      `${config.reminderDelivery === 'ping' ? 'pinged in the signup channel' : 'by DM'}`,
+    `**Check-in:** open until ${config.checkInMinutes} min after the start (or after publishing)`,
+    `**When a seated player leaves:** ${config.autoReplace ? 'seat the best bench / standby replacement' : 'suggest a replacement'}`
+  ].join('\n');
+}
+
 /* ----------------------------- permission helpers ----------------------------- */
 
-function isOfficer(member) {
+// Commands that only show information; /mplus-config can open these to everyone.
+function isReadOnlyCommand(group, sub, options) {
+  if (group === 'schedule') return sub === 'list';
+  if (!group && sub === 'list') return true;
+  if (sub === 'drafts') return options.getInteger('restore') === null;
+  return false;
+}
+
+function memberRoleIds(member) {
+  if (Array.isArray(member.roles)) return member.roles;
+  return [...(member.roles?.cache?.keys() || [])];
+}
+
+function isServerManager(member) {
   if (!member) return false;
 
   return (
     member.permissions.has(PermissionsBitField.Flags.Administrator) ||
+    member.permissions.has(PermissionsBitField.Flags.ManageGuild)
+  );
+}
+
+// With officer roles configured only those roles (and admins) count; otherwise fall back
+// to the moderator permissions the bot has always used.
+function isOfficer(member, guildState) {
+  if (!member) return false;
+  if (member.permissions.has(PermissionsBitField.Flags.Administrator)) return true;
+
+  const { officerRoleIds } = getGuildConfig(guildState);
+  if (officerRoleIds.length) {
+    return memberRoleIds(member).some(id => officerRoleIds.includes(id));
+  }
+
+  return (
     member.permissions.has(PermissionsBitField.Flags.ManageGuild) ||
     member.permissions.has(PermissionsBitField.Flags.ManageMessages)
   );
 }
 
 
+/* ----------------------------- activity templates ----------------------------- */
+
+// Seats per group. Sessions keep their own copy of the template, so custom layouts
+// (and later edits to this list) never reshape a session that already has signups.
+const ACTIVITY_TEMPLATES = {
+  mplus: { id: 'mplus', label: 'Mythic+', slots: { TANK: 1, HEAL: 1, DPS: 3 }, keystones: true },
+  raid10: { id: 'raid10', label: '10-man raid', slots: { TANK: 2, HEAL: 2, DPS: 6 }, keystones: false },
+  mythic20: { id: 'mythic20', label: 'Mythic raid', slots: { TANK: 2, HEAL: 4, DPS: 14 }, keystones: false }
+};
+const DEFAULT_TEMPLATE = ACTIVITY_TEMPLATES.mplus;
+const MAX_GROUP_SIZE = 40;
+
+const SLOT_PREFIX = { TANK: 'tank', HEAL: 'heal', DPS: 'dps' };
+const ROLE_LABELS = { TANK: 'Tank', HEAL: 'Healer', DPS: 'DPS' };
+const ROLE_ICONS = { TANK: '🛡️', HEAL: '💚', DPS: '⚔️' };
+
+function customTemplate(tanks, heals, dps) {
+  return { id: 'custom', label: 'Custom', slots: { TANK: tanks, HEAL: heals, DPS: dps }, keystones: false };
+}
+
+function sessionTemplate(session) {
+  return session?.template || DEFAULT_TEMPLATE;
+}
+
+function draftTemplate(draft) {
+  return draft?.template || DEFAULT_TEMPLATE;
+}
+
+function groupSize(template) {
+  return template.slots.TANK + template.slots.HEAL + template.slots.DPS;
+}
+
+function describeTemplate(template) {
+  return `${template.label} (${template.slots.TANK}/${template.slots.HEAL}/${template.slots.DPS})`;
+}
+
+// Draft slot keys in seat order. Mythic+ keeps its `tank`, `heal`, `dps1`–`dps3`; roles with
+// more than one seat are numbered (`tank1`, `tank2`, …), and DPS always is.
+function templateSlots(template) {
+  return ROLE_KEYS.flatMap(role => {
+    const count = template.slots[role];
+    return Array.from({ length: count }, (_, i) => ({
+      key: count === 1 && role !== 'DPS' ? SLOT_PREFIX[role] : `${SLOT_PREFIX[role]}${i + 1}`,
+      role
+    }));
+  });
+}
+
+const SLOT_KEY_PATTERN = /^(tank|heal|dps)\d*$/;
+
+function slotRole(slotKey) {
+  if (slotKey.startsWith('tank')) return 'TANK';
+  if (slotKey.startsWith('heal')) return 'HEAL';
+  return 'DPS';
+}
+
+// Reads the activity / tanks / healers / dps options shared by /mplus create and schedule add.
+function templateFromOptions(options) {
+  const activity = options.getString('activity') || 'mplus';
+  if (activity !== 'custom') return { template: ACTIVITY_TEMPLATES[activity] || DEFAULT_TEMPLATE };
+
+  const tanks = options.getInteger('tanks') ?? 0;
+  const heals = options.getInteger('healers') ?? 0;
+  const dps = options.getInteger('dps') ?? 0;
+  const size = tanks + heals + dps;
+  if (size < 1 || size > MAX_GROUP_SIZE) {
+    return { error: `A custom group needs between 1 and ${MAX_GROUP_SIZE} seats; set \`tanks\`, \`healers\` and \`dps\`.` };
+  }
+  return { template: customTemplate(tanks, heals, dps) };
+}
+
 /* ----------------------------- UI helpers ----------------------------- */
 
 const WOW_CLASSES = [
@@ -130,11 +856,77 @@ const CLASS_EMOJI_OBJ = {
   WARRIOR:      { id: '1473174345336754258', name: 'warrior' }
 };
 
-const ROLE_CLASSES = {
-  TANK: new Set(['WARRIOR', 'PALADIN', 'DEATH_KNIGHT', 'MONK', 'DRUID', 'DEMON_HUNTER']),
-  HEAL: new Set(['PALADIN', 'PRIEST', 'SHAMAN', 'MONK', 'DRUID', 'EVOKER']),
-  DPS:  new Set(WOW_CLASSES.map(c => c.id)) // all classes can DPS
-};
+// `range` only matters for DPS specs, where the solver mixes melee and ranged.
+const WOW_SPECS = [
+  { id: 'DEATH_KNIGHT_BLOOD', classId: 'DEATH_KNIGHT', label: 'Blood', short: 'Blood', role: 'TANK' },
+  { id: 'DEATH_KNIGHT_FROST', classId: 'DEATH_KNIGHT', label: 'Frost', short: 'Frost', role: 'DPS', range: 'melee' },
+  { id: 'DEATH_KNIGHT_UNHOLY', classId: 'DEATH_KNIGHT', label: 'Unholy', short: 'Unholy', role: 'DPS', range: 'melee' },
+  { id: 'DEMON_HUNTER_VENGEANCE', classId: 'DEMON_HUNTER', label: 'Vengeance', short: 'Veng', role: 'TANK' },
+  { id: 'DEMON_HUNTER_HAVOC', classId: 'DEMON_HUNTER', label: 'Havoc', short: 'Havoc', role: 'DPS', range: 'melee' },
+  { id: 'DEMON_HUNTER_DEVOURER', classId: 'DEMON_HUNTER', label: 'Devourer', short: 'Devourer', role: 'DPS', range: 'ranged' },
+  { id: 'DRUID_GUARDIAN', classId: 'DRUID', label: 'Guardian', short: 'Guardian', role: 'TANK' },
+  { id: 'DRUID_RESTORATION', classId: 'DRUID', label: 'Restoration', short: 'Resto', role: 'HEAL' },
+  { id: 'DRUID_BALANCE', classId: 'DRUID', label: 'Balance', short: 'Balance', role: 'DPS', range: 'ranged' },
+  { id: 'DRUID_FERAL', classId: 'DRUID', label: 'Feral', short: 'Feral', role: 'DPS', range: 'melee' },
+  { id: 'EVOKER_PRESERVATION', classId: 'EVOKER', label: 'Preservation', short: 'Pres', role: 'HEAL' },
+  { id: 'EVOKER_DEVASTATION', classId: 'EVOKER', label: 'Devastation', short: 'Dev', role: 'DPS', range: 'ranged' },
+  { id: 'EVOKER_AUGMENTATION', classId: 'EVOKER', label: 'Augmentation', short: 'Aug', role: 'DPS', range: 'ranged' },
+  { id: 'HUNTER_BEAST_MASTERY', classId: 'HUNTER', label: 'Beast Mastery', short: 'BM', role: 'DPS', range: 'ranged' },
+  { id: 'HUNTER_MARKSMANSHIP', classId: 'HUNTER', label: 'Marksmanship', short: 'MM', role: 'DPS', range: 'ranged' },
+  { id: 'HUNTER_SURVIVAL', classId: 'HUNTER', label: 'Survival', short: 'SV', role: 'DPS', range: 'melee' },
+  { id: 'MAGE_ARCANE', classId: 'MAGE', label: 'Arcane', short: 'Arcane', role: 'DPS', range: 'ranged' },
+  { id: 'MAGE_FIRE', classId: 'MAGE', label: 'Fire', short: 'Fire', role: 'DPS', range: 'ranged' },
+  { id: 'MAGE_FROST', classId: 'MAGE', label: 'Frost', short: 'Frost', role: 'DPS', range: 'ranged' },
+  { id: 'MONK_BREWMASTER', classId: 'MONK', label: 'Brewmaster', short: 'Brew', role: 'TANK' },
+  { id: 'MONK_MISTWEAVER', classId: 'MONK', label: 'Mistweaver', short: 'MW', role: 'HEAL' },
+  { id: 'MONK_WINDWALKER', classId: 'MONK', label: 'Windwalker', short: 'WW', role: 'DPS', range: 'melee' },
+  { id: 'PALADIN_PROTECTION', classId: 'PALADIN', label: 'Protection', short: 'Prot', role: 'TANK' },
+  { id: 'PALADIN_HOLY', classId: 'PALADIN', label: 'Holy', short: 'Holy', role: 'HEAL' },
+  { id: 'PALADIN_RETRIBUTION', classId: 'PALADIN', label: 'Retribution', short: 'Ret', role: 'DPS', range: 'melee' },
+  { id: 'PRIEST_DISCIPLINE', classId: 'PRIEST', label: 'Discipline', short: 'Disc', role: 'HEAL' },
+  { id: 'PRIEST_HOLY', classId: 'PRIEST', label: 'Holy', short: 'Holy', role: 'HEAL' },
+  { id: 'PRIEST_SHADOW', classId: 'PRIEST', label: 'Shadow', short: 'Shadow', role: 'DPS', range: 'ranged' },
+  { id: 'ROGUE_ASSASSINATION', classId: 'ROGUE', label: 'Assassination', short: 'Sin', role: 'DPS', range: 'melee' },
+  { id: 'ROGUE_OUTLAW', classId: 'ROGUE', label: 'Outlaw', short: 'Outlaw', role: 'DPS', range: 'melee' },
+  { id: 'ROGUE_SUBTLETY', classId: 'ROGUE', label: 'Subtlety', short: 'Sub', role: 'DPS', range: 'melee' },
+  { id: 'SHAMAN_RESTORATION', classId: 'SHAMAN', label: 'Restoration', short: 'Resto', role: 'HEAL' },
+  { id: 'SHAMAN_ELEMENTAL', classId: 'SHAMAN', label: 'Elemental', short: 'Ele', role: 'DPS', range: 'ranged' },
+  { id: 'SHAMAN_ENHANCEMENT', classId: 'SHAMAN', label: 'Enhancement', short: 'Enh', role: 'DPS', range: 'melee' },
+  { id: 'WARLOCK_AFFLICTION', classId: 'WARLOCK', label: 'Affliction', short: 'Aff', role: 'DPS', range: 'ranged' },
+  { id: 'WARLOCK_DEMONOLOGY', classId: 'WARLOCK', label: 'Demonology', short: 'Demo', role: 'DPS', range: 'ranged' },
+  { id: 'WARLOCK_DESTRUCTION', classId: 'WARLOCK', label: 'Destruction', short: 'Destro', role: 'DPS', range: 'ranged' },
+  { id: 'WARRIOR_PROTECTION', classId: 'WARRIOR', label: 'Protection', short: 'Prot', role: 'TANK' },
+  { id: 'WARRIOR_ARMS', classId: 'WARRIOR', label: 'Arms', short: 'Arms', role: 'DPS', range: 'melee' },
+  { id: 'WARRIOR_FURY', classId: 'WARRIOR', label: 'Fury', short: 'Fury', role: 'DPS', range: 'melee' }
+];
+
+const RANGE_ICONS = { melee: '🗡️', ranged: '🏹' };
+
+// A class can fill a role when one of its specs does.
+const ROLE_CLASSES = { TANK: new Set(), HEAL: new Set(), DPS: new Set() };
+for (const spec of WOW_SPECS) ROLE_CLASSES[spec.role].add(spec.classId);
+
+function specInfo(specId) {
+  return WOW_SPECS.find(s => s.id === specId) || null;
+}
+
+function specsFor(classId, roleKey) {
+  return WOW_SPECS.filter(s => s.classId === classId && s.role === roleKey);
+}
+
+// A spec only counts while it matches the class the player brings to that role.
+function getAssignedSpec(player, roleKey) {
+  const spec = specInfo(player?.specs?.[roleKey]);
+  return spec && spec.classId === getAssignedClass(player, roleKey) ? spec : null;
+}
+
+// After a class change: a class with one spec for the role gets it, anything else is cleared.
+function pickSpecForClass(info, roleKey) {
+  const options = specsFor(info.classes?.[roleKey], roleKey);
+  info.specs = { TANK: null, HEAL: null, DPS: null, ...(info.specs || {}) };
+  info.specs[roleKey] = options.length === 1 ? options[0].id : null;
+  return options;
+}
 
 const LUST_CLASSES = new Set(['SHAMAN', 'MAGE', 'HUNTER', 'EVOKER']);
 const BREZ_CLASSES = new Set(['DRUID', 'DEATH_KNIGHT', 'WARLOCK', 'PALADIN']);
@@ -145,28 +937,78 @@ function getAssignedClass(player, roleKey) {
   return classes[roleKey] || null;
 }
 
-function groupUtilityFlags(g) {
-  const classIds = [];
-
-  const tankClass = getAssignedClass(g.tank, 'TANK');
-  const healClass = getAssignedClass(g.heal, 'HEAL');
-  if (tankClass) classIds.push(tankClass);
-  if (healClass) classIds.push(healClass);
-
-  for (const p of [g.dps1, g.dps2, g.dps3]) {
-    const dpsClass = getAssignedClass(p, 'DPS');
-    if (dpsClass) classIds.push(dpsClass);
-  }
+// `seats` is a list of { player, role }; a player's class depends on the role they sit in.
+function groupUtilityFlags(seats) {
+  const classIds = seats.map(({ player, role }) => getAssignedClass(player, role)).filter(Boolean);
 
   return {
     hasLust: classIds.some(c => LUST_CLASSES.has(c)),
     hasBrez: classIds.some(c => BREZ_CLASSES.has(c)),
   };
 }
+
+// How a group's DPS seats split between melee and ranged; DPS without a spec are unknown.
+function dpsMix(seats) {
+  const mix = { melee: 0, ranged: 0, unknown: 0 };
+  for (const { player, role } of seats) {
+    if (role === 'DPS') mix[getAssignedSpec(player, role)?.range || 'unknown']++;
+  }
+  return mix;
+}
+function keyInBand(keystone, band) {
+  if (!keystone) return false;
+  if (band?.min && keystone.level < band.min) return false;
+  if (band?.max && keystone.level > band.max) return false;
+  return true;
+}
+
+// The key a group would run: the highest key inside the band held by any member.
+function groupKeystone(members, band) {
+  let best = null;
+  for (const p of members) {
+    if (!p || !keyInBand(p.keystone, band)) continue;
+    if (!best || p.keystone.level > best.level) {
+      best = { ...p.keystone, ownerId: p.id, ownerName: p.name };
+    }
+  }
+  return best;
+}
+
+// The rating a player brings to a seat: the character's for that role, else their own.
+function seatRating(player, roleKey) {
+  const rating = player?.ratings?.[roleKey];
+  return isValidRating(rating) ? rating : player?.rating ?? null;
+}
+
+// "Avg rating 2450" over the seats with a rating, noting how many had one.
+function formatGroupRating(seats) {
+  const ratings = seats.map(({ player, role }) => seatRating(player, role)).filter(isValidRating);
+  if (!ratings.length) return 'No ratings';
+  const avg = Math.round(ratings.reduce((sum, r) => sum + r, 0) / ratings.length);
+  return `Avg rating ${avg}${ratings.length < seats.length ? ` (${ratings.length}/${seats.length} rated)` : ''}`;
+}
+
+function formatKeystone(keystone) {
+  return keystone ? `+${keystone.level} ${keystone.dungeon}` : '—';
+}
+
+function formatKeyBand(band) {
+  if (band?.min && band?.max) return `+${band.min}–+${band.max}`;
+  if (band?.min) return `+${band.min} or higher`;
+  if (band?.max) return `up to +${band.max}`;
+  return 'any level';
+}
+
 function classLabel(classId) {
   return WOW_CLASSES.find(c => c.id === classId)?.label || 'Unset';
 }
 
+// "Retribution Paladin", or just the class while no spec is picked.
+function specClassLabel(classId, specId) {
+  const spec = specInfo(specId);
+  return spec?.classId === classId ? `${spec.label} ${classLabel(classId)}` : classLabel(classId);
+}
+
 const CLASS_EMOJI_TEXT = {
   DEATH_KNIGHT: '<:deathknight:1473173683936825468>',
   DEMON_HUNTER: '<:demonhunter:1473173752236740650>',
@@ -194,67 +1036,298 @@ function playerClassIconForRole(player, roleKey) {
   return classId ? classIcon(classId) : '';
 }
 
-function rolesToLabel(roleSet) {
-  const arr = [...roleSet].sort();
-  return arr.length ? arr.join(', ') : 'None';
+// Short spec label for seat lines, with the melee / ranged icon for DPS: "Ret 🗡️".
+function specTag(player, roleKey) {
+  const spec = getAssignedSpec(player, roleKey);
+  return spec ? `${spec.short}${spec.range ? ` ${RANGE_ICONS[spec.range]}` : ''}` : '';
 }
-function hydrateDraftClassesFromSignups(session, draft) {
+
+const MAX_CHARACTERS = 10;
+
+// Manual role / class edits replace a character-based signup. Returns a note for the reply.
+function dropCharacters(info) {
+  if (!info.characters?.length) return '';
+  delete info.characters;
+  return '\n🧙 Character picks cleared. Pick them again with "My characters".';
+}
+
+// A signup made with characters plays every role they cover. When two characters share a
+// role the one registered first is brought, so a user still takes a single seat.
+function applyCharacters(info) {
+  const roles = [];
+  const classes = { TANK: null, HEAL: null, DPS: null };
+  const specs = { TANK: null, HEAL: null, DPS: null };
+  for (const character of info.characters || []) {
+    for (const role of character.roles) {
+      if (roles.includes(role)) continue;
+      roles.push(role);
+      classes[role] = character.classId;
+      specs[role] = character.specs?.[role] || null;
+    }
+  }
+  info.roles = roles;
+  info.classes = classes;
+  info.specs = specs;
+  if (info.mainRole && !roles.includes(info.mainRole)) info.mainRole = null;
+}
+
+// role -> character name, for the roles a signup covers with a character.
+function characterNames(info) {
+  const names = {};
+  for (const role of ROLE_KEYS) {
+    const character = (info?.characters || []).find(c => c.roles.includes(role));
+    if (character) names[role] = character.name;
+  }
+  return names;
+}
+
+// role -> rating of the character brought for it, where that character has one.
+function characterRatings(info) {
+  const ratings = {};
+  for (const role of ROLE_KEYS) {
+    const character = (info?.characters || []).find(c => c.roles.includes(role));
+    if (isValidRating(character?.rating)) ratings[role] = character.rating;
+  }
+  return ratings;
+}
+
+// The seat label: the character brought for `role` when there is one, else the display name.
+function seatName(player, role) {
+  const character = player.characters?.[role];
+  return character ? `${character} (${player.name})` : player.name;
+}
+
+// The role a player prefers. Anyone with a single role is a main in it; several roles
+// without an explicit pick means no preference.
+function mainRoleOf(info) {
+  const roles = info?.roles || [];
+  if (info?.mainRole && roles.includes(info.mainRole)) return info.mainRole;
+  return roles.length === 1 ? roles[0] : null;
+}
+
+function isFillRole(player, roleKey) {
+  return Boolean(player?.mainRole) && player.mainRole !== roleKey;
+}
+
+function rolesToLabel(roleSet) {
+  const arr = [...roleSet].sort();
+  return arr.length ? arr.join(', ') : 'None';
+}
+function hydrateDraftClassesFromSignups(session, draft) {
   const signups = session.signups || {};
 
   const attach = (p) => {
     if (!p) return;
     const info = signups[p.id];
     if (info?.classes) p.classes = info.classes;
+    if (info) p.specs = info.specs || {};
+    if (info) p.keystone = info.keystone || null;
+    if (info) p.rating = info.rating ?? null;
+    if (info) p.mainRole = mainRoleOf(info);
+    if (info) p.characters = characterNames(info);
+    if (info) p.ratings = characterRatings(info);
   };
 
   for (const g of draft.groups || []) {
-    attach(g.tank);
-    attach(g.heal);
-    attach(g.dps1);
-    attach(g.dps2);
-    attach(g.dps3);
+    for (const p of draftGroupMembers(g)) attach(p);
   }
 
   for (const p of draft.bench || []) attach(p);
 }
 
+// Joins lines into blocks of at most `max` characters without splitting a line.
+function chunkLines(lines, max) {
+  const chunks = [];
+  let current = '';
+  for (const line of lines) {
+    const next = current ? `${current}\n${line}` : line;
+    if (next.length > max && current) {
+      chunks.push(current);
+      current = line.slice(0, max);
+    } else {
+      current = next.slice(0, max);
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// Discord rejects embeds past these sizes.
+const EMBED_FIELD_LIMIT = 1024;
+const EMBED_DESCRIPTION_LIMIT = 4096;
+const EMBED_TOTAL_LIMIT = 6000;
+
+// The characters Discord counts toward EMBED_TOTAL_LIMIT.
+function embedTextLength(embed) {
+  const { title = '', description = '', fields = [], footer, author } = embed.data;
+  return title.length + description.length + (footer?.text?.length || 0) + (author?.name?.length || 0) +
+    fields.reduce((sum, f) => sum + f.name.length + f.value.length, 0);
+}
+
+// Joins as many `items` as fit in `max` characters, ending with "… +N more" for the rest.
+function joinLimited(items, max, separator = ', ') {
+  const all = items.join(separator);
+  if (all.length <= max) return all;
+  for (let shown = items.length - 1; shown > 0; shown--) {
+    const text = `${items.slice(0, shown).join(separator)}${separator}… +${items.length - shown} more`;
+    if (text.length <= max) return text;
+  }
+  return `… +${items.length} more`.slice(0, max);
+}
+
+// chunkLines as named fields, ending with "… +N more" where the lines would take more
+// than `budget` characters of the embed.
+function limitedFields(lines, budget, nameOf) {
+  for (let shown = lines.length; shown >= 0; shown--) {
+    const rest = lines.length - shown;
+    const values = chunkLines(rest ? [...lines.slice(0, shown), `… +${rest} more`] : lines, EMBED_FIELD_LIMIT);
+    const fields = values.map((value, i) => ({ name: nameOf(i), value }));
+    if (fields.reduce((sum, f) => sum + f.name.length + f.value.length, 0) <= budget) return fields;
+  }
+  return [];
+}
+
 function buildSignupEmbed(session) {
   const signups = session.signups || {};
+  const template = sessionTemplate(session);
 
-  const entries = Object.entries(signups).map(([userId, info]) => {
+  const formatEntry = ([userId, info]) => {
     const name = info.displayName || `<@${userId}>`;
     const roles = new Set(info.roles || []);
     const classes = info.classes || { TANK: null, HEAL: null, DPS: null };
 
+    const mainRole = roles.size > 1 ? mainRoleOf(info) : null;
+    const mark = (roleKey) => (roleKey === mainRole ? '⭐' : '');
+    const fill = (roleKey) => (mainRole && roleKey !== mainRole ? ' _(fill)_' : '');
+
+    const pick = (roleKey) => {
+      if (!classes[roleKey]) return '—';
+      const tag = specTag(info, roleKey);
+      return `${classIcon(classes[roleKey])}${tag ? ` ${tag}` : ''}`;
+    };
+
     const parts = [];
-    if (roles.has('TANK')) parts.push(`🛡️ ${classes.TANK ? classIcon(classes.TANK) : '—'}`);
-    if (roles.has('HEAL')) parts.push(`💚 ${classes.HEAL ? classIcon(classes.HEAL) : '—'}`);
-    if (roles.has('DPS'))  parts.push(`⚔️ ${classes.DPS ? classIcon(classes.DPS) : '—'}`);
+    if (roles.has('TANK')) parts.push(`${mark('TANK')}🛡️ ${pick('TANK')}${fill('TANK')}`);
+    if (roles.has('HEAL')) parts.push(`${mark('HEAL')}💚 ${pick('HEAL')}${fill('HEAL')}`);
+    if (roles.has('DPS'))  parts.push(`${mark('DPS')}⚔️ ${pick('DPS')}${fill('DPS')}`);
 
-    return `• ${name}  |  ${parts.length ? parts.join('  ') : 'No roles selected'}`;
-  });
+    const key = template.keystones && info.keystone ? `  |  🗝️ ${formatKeystone(info.keystone)}` : '';
+    const rating = isValidRating(info.rating) ? `  |  📈 ${info.rating}` : '';
+    const characters = info.characters?.length
+      ? `  |  🧙 ${info.characters.map(c => (isValidRating(c.rating) ? `${c.name} (${c.rating})` : c.name)).join(', ')}`
+      : '';
+
+    return `• ${name}  |  ${parts.length ? parts.join('  ') : 'No roles selected'}${key}${rating}${characters}`;
+  };
+  const entries = Object.entries(signups).map(formatEntry);
+  const standby = Object.entries(session.standby || {})
+    .sort(([, a], [, b]) => (a.joinedAt || 0) - (b.joinedAt || 0))
+    .map(formatEntry);
 
-  const tanks = Object.values(signups).filter(s => (s.roles || []).includes('TANK')).length;
-  const heals = Object.values(signups).filter(s => (s.roles || []).includes('HEAL')).length;
-  const dps   = Object.values(signups).filter(s => (s.roles || []).includes('DPS')).length;
-  const possibleGroups = Math.min(tanks, heals, Math.floor(dps / 3), Math.floor(entries.length / 5));
+  const possibleGroups = maxFormableGroups(signupPlayers(signups), template);
 
   const lockLine = session.lockAt
     ? `<t:${Math.floor(session.lockAt / 1000)}:F>`
     : 'Not set';
+  const startLine = session.startAt
+    ? `<t:${Math.floor(session.startAt / 1000)}:F>\n<t:${Math.floor(session.startAt / 1000)}:R>`
+    : 'Not set';
 
-  return new EmbedBuilder()
-    .setTitle(`🗝️ ${session.title || 'Mythic+ Signups'}`)
-    .setDescription(session.description ? session.description : 'Click roles below to sign up.')
-    .setColor(0x8A2BE2)
+  const locked = isSessionLocked(session);
+  const description = session.description ? session.description : 'Click roles below to sign up.';
+  const closedNote = locked
+    ? '🔒 **Locked** — new signups join the standby list.'
+    : '📣 **Groups posted** — new signups join the standby list.';
+
+  const embed = new EmbedBuilder()
+    .setTitle(`${locked ? '🔒' : '🗝️'} ${session.title || `${template.label} Signups`}`)
+    .setDescription(signupsClosed(session)
+      ? [closedNote, session.description].filter(Boolean).join('\n\n')
+      : description)
+    .setColor(signupsClosed(session) ? 0x747F8D : 0x8A2BE2)
     .addFields(
-      { name: `⏳ Lock Time`, value: lockLine, inline: true },
+      { name: locked ? `🔒 Locked At` : `⏳ Lock Time`, value: lockLine, inline: true },
+      { name: `🏁 Start Time`, value: startLine, inline: true },
       { name: `👥 Signups`, value: `${entries.length}`, inline: true },
-      { name: `✅ Possible Groups`, value: `${possibleGroups}`, inline: true },
-      { name: `📋 Roster`, value: entries.length ? entries.join('\n') : '_Nobody signed up yet._' }
+      { name: `✅ Possible Groups`, value: `${possibleGroups}`, inline: true }
     )
     .setTimestamp(new Date())
-    .setFooter({ text: `Mythic+ Organizer` });
+    .setFooter({ text: `Mythic+ Organizer · ${describeTemplate(template)}` });
+
+  // Raid-sized rosters continue over several fields; past the embed's total size the
+  // rest is counted instead, with standby kept to a third of the room when both overflow.
+  const room = EMBED_TOTAL_LIMIT - embedTextLength(embed);
+  const standbyNeed = standby.reduce((sum, line) => sum + line.length + 1, 0) + 40;
+  const standbyRoom = standby.length ? Math.min(standbyNeed, Math.floor(room / 3)) : 0;
+  const rosterFields = limitedFields(entries.length ? entries : ['_Nobody signed up yet._'], room - standbyRoom,
+    i => (i ? '📋 Roster (cont.)' : '📋 Roster'));
+  const rosterLength = rosterFields.reduce((sum, f) => sum + f.name.length + f.value.length, 0);
+  return embed.addFields(
+    ...rosterFields,
+    ...limitedFields(standby, room - rosterLength, i => (i ? '🪑 Standby (cont.)' : `🪑 Standby (${standby.length})`))
+  );
+}
+
+function buildProfileEmbed(profile, name) {
+  const roles = new Set(profile.roles || []);
+  const mainRole = mainRoleOf(profile);
+  const classes = profile.classes || {};
+
+  const line = (roleKey, emoji) => {
+    if (!roles.has(roleKey)) return `${emoji} —`;
+    const tag = mainRole === roleKey ? ' ⭐ main' : (mainRole ? ' (fill)' : '');
+    return `${emoji} ${classes[roleKey] ? `${classIcon(classes[roleKey])} ${specClassLabel(classes[roleKey], profile.specs?.[roleKey])}` : 'Class unset'}${tag}`;
+  };
+
+  return new EmbedBuilder()
+    .setTitle(`👤 ${name}`)
+    .setColor(0x8A2BE2)
+    .addFields(
+      { name: 'Roles', value: [line('TANK', '🛡️'), line('HEAL', '💚'), line('DPS', '⚔️')].join('\n') },
+      { name: 'Rating', value: isValidRating(profile.rating) ? `📈 ${profile.rating}` : '_Not set_', inline: true },
+      { name: 'Notes', value: profile.notes || '_None_', inline: true },
+      {
+        name: '🧙 Characters',
+        value: profile.characters?.length
+          ? profile.characters.map(c => `${classIcon(c.classId)} **${c.name}** · ${c.roles.map(role => `${ROLE_ICONS[role]}${c.specs?.[role] ? ` ${specInfo(c.specs[role]).short}` : ''}`).join('  ')}${isValidRating(c.rating) ? ` · 📈 ${c.rating}` : ''}`).join('\n')
+          : '_None — add them with /character add_'
+      }
+    )
+    .setFooter({ text: 'Use "My Usual" on a signup to apply this profile, or "My characters" to pick characters.' });
+}
+
+function sessionLabel(guildState, session) {
+  const count = Object.keys(session.signups || {}).length;
+  const created = new Date(session.createdAt || Date.now()).toISOString().slice(0, 10);
+  const selected = guildState.currentSessionId === session.id ? ' · selected' : '';
+  return `${session.title || 'Untitled'} · ${count} signed up · ${isSessionLocked(session) ? 'locked' : 'open'} · ${created}${selected}`;
+}
+
+function sessionChoices(guildState, query = '') {
+  const q = query.toLowerCase();
+  return listSessions(guildState)
+    .filter(s => !q || (s.title || '').toLowerCase().includes(q) || s.id.toLowerCase().includes(q))
+    .slice(0, 25)
+    .map(s => ({ name: sessionLabel(guildState, s).slice(0, 100), value: s.id }));
+}
+
+function buildSessionListEmbed(guildState, guildId) {
+  const lines = listSessions(guildState).map(s => {
+    const marker = guildState.currentSessionId === s.id ? '▶️' : '•';
+    const count = Object.keys(s.signups || {}).length;
+    const lock = isSessionLocked(s)
+      ? '🔒 locked'
+      : s.lockAt ? `🟢 open, locks <t:${Math.floor(s.lockAt / 1000)}:R>` : '🟢 open';
+    const link = s.messageId && s.channelId
+      ? ` · [signup](https://discord.com/channels/${guildId}/${s.channelId}/${s.messageId})`
+      : '';
+    return `${marker} **${s.title || 'Untitled'}** — ${count} signed up · ${lock}${link}\n\u2003\`${s.id}\``;
+  });
+
+  return new EmbedBuilder()
+    .setTitle('Signup sessions')
+    .setDescription(lines.length ? lines.join('\n').slice(0, 4096) : 'No sessions yet. Use /mplus create.')
+    .setFooter({ text: '▶️ = selected. Pick another with /mplus select, or pass session: to a command.' });
 }
 
 function buildComponents(sessionId) {
@@ -271,12 +1344,39 @@ function buildComponents(sessionId) {
       .setCustomId(`mplus:${sessionId}:toggle:DPS`)
       .setLabel('⚔️ DPS')
       .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`mplus:${sessionId}:keystone`)
+      .setLabel('🗝️ Key & Rating')
+      .setStyle(ButtonStyle.Secondary),
     new ButtonBuilder()
       .setCustomId(`mplus:${sessionId}:leave`)
       .setLabel('🚪 Leave')
       .setStyle(ButtonStyle.Danger)
   );
 
+  const mainRow = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`mplus:${sessionId}:main:TANK`)
+      .setLabel('⭐ Main Tank')
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`mplus:${sessionId}:main:HEAL`)
+      .setLabel('⭐ Main Healer')
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`mplus:${sessionId}:main:DPS`)
+      .setLabel('⭐ Main DPS')
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`mplus:${sessionId}:usual`)
+      .setLabel('📋 Sign up with my usual')
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId(`mplus:${sessionId}:characters`)
+      .setLabel('🧙 My characters')
+      .setStyle(ButtonStyle.Secondary)
+  );
+
   const makeClassMenuRow = (roleKey, label) => {
     const menu = new StringSelectMenuBuilder()
       .setCustomId(`mplus:${sessionId}:class:${roleKey}`)
@@ -311,282 +1411,1913 @@ for (const c of WOW_CLASSES) {
   const healRow = makeClassMenuRow('HEAL', 'Select Healer class');
   const dpsRow  = makeClassMenuRow('DPS',  'Select DPS class');
 
-  return [buttonRow, tankRow, healRow, dpsRow];
+  // Stays clickable after the lock: late signups go to the standby list instead.
+  return [buttonRow, mainRow, tankRow, healRow, dpsRow];
 }
 
- function buildDraftEmbed(session, draft, title = 'Groups Draft') {
-  const lines = [];
+// Offered after a class pick when the class has more than one spec for the role.
+function buildSpecMenuRow(sessionId, roleKey, specs) {
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`mplus:${sessionId}:spec:${roleKey}`)
+    .setPlaceholder(`Select ${ROLE_LABELS[roleKey]} spec`)
+    .addOptions(specs.map(s =>
+      new StringSelectMenuOptionBuilder()
+        .setLabel(s.label)
+        .setValue(s.id)
+        .setDescription(s.range === 'melee' ? 'Melee' : s.range === 'ranged' ? 'Ranged' : ROLE_LABELS[s.role])
+        .setEmoji(CLASS_EMOJI_OBJ[s.classId])
+    ));
+  return new ActionRowBuilder().addComponents(menu);
+}
 
-  draft.groups.forEach((g, idx) => {
-  const tank = g.tank
-    ? `${playerClassIconForRole(g.tank, 'TANK')} ${g.tank.name}`
-    : '—';
+function draftFooter(session, draft) {
+  const title = session.title || 'Mythic+ Night';
+  return draft.seed ? `${title} · ${formatSeed(draft.seed, draft.edited).replace(/`/g, '')}` : title;
+}
 
-  const heal = g.heal
-    ? `${playerClassIconForRole(g.heal, 'HEAL')} ${g.heal.name}`
-    : '—';
+// `checkIn` marks who has checked in on published groups and shows the window.
+function buildDraftEmbed(session, draft, title = 'Groups Draft', { checkIn = false } = {}) {
+  const lines = [];
+  const attendance = checkIn ? session.attendance || {} : {};
+  const mark = (p) => (attendance[p.id]?.status === 'present' ? '✅ ' : '');
+  const template = draftTemplate(draft);
+  const showRatings = draft.groups.some(g => draftGroupSeats(g).some(({ player, role }) => isValidRating(seatRating(player, role))));
 
-  const dpsPlayers = [g.dps1, g.dps2, g.dps3].filter(Boolean);
-  const dps = dpsPlayers.length
-    ? dpsPlayers.map(p => `${playerClassIconForRole(p, 'DPS')} ${p.name}`).join(', ')
-    : '—';
+  draft.groups.forEach((g, idx) => {
+  const fill = (p, roleKey) => (isFillRole(p, roleKey) ? ' _(fill)_' : '');
+  const spec = (p, roleKey) => (specTag(p, roleKey) ? ` · ${specTag(p, roleKey)}` : '');
+  const seats = draftGroupSeats(g);
+
+  const roleLines = ROLE_KEYS.filter(role => template.slots[role] > 0).map(role => {
+    const players = seats.filter(seat => seat.role === role).map(seat => seat.player);
+    const open = template.slots[role] - players.length;
+    const names = [
+      ...players.map(p => `${mark(p)}${playerClassIconForRole(p, role)} ${seatName(p, role)}${spec(p, role)}${fill(p, role)}`),
+      ...(open > 0 ? [`_${open} open_`] : [])
+    ].join(', ');
+    return `${ROLE_ICONS[role]} ${names}\n`;
+  });
 
-  const util = groupUtilityFlags(g);
+  const util = groupUtilityFlags(seats);
   const lustMark = util.hasLust ? '✅' : '❌';
   const brezMark = util.hasBrez ? '✅' : '❌';
+  const mix = dpsMix(seats);
+  const mixLine = mix.melee || mix.ranged ? `   ${RANGE_ICONS.melee} ${mix.melee} / ${RANGE_ICONS.ranged} ${mix.ranged}` : '';
+
+  const key = groupKeystone(draftGroupMembers(g), draft.keyBand);
+  const keyLine = key ? `${formatKeystone(key)} (${key.ownerName})` : `No key in ${formatKeyBand(draft.keyBand)}`;
+  const rating = showRatings ? `📈 ${formatGroupRating(draftGroupSeats(g))}\n` : '';
 
  lines.push(
   `**Group ${idx + 1}**\n` +
-  `🛡️ ${tank}\n` +
-  `💚 ${heal}\n` +
-  `⚔️ ${dps}\n` +
-  `🩸 Lust: ${lustMark}   ☠️ Brez: ${brezMark}\n`
+  roleLines.join('') +
+  `🩸 Lust: ${lustMark}   ☠️ Brez: ${brezMark}${mixLine}\n` +
+  (template.keystones ? `🗝️ ${keyLine}\n` : '') +
+  rating
 );
-
-lines.push(
-    `**Group ${idx + 1}**\n` +
-    `🛡️ ${tank}\n` +
-    `💚 ${heal}\n` +
-    `⚔️ ${dps}\n`
-  );
 });
 
-  const bench = draft.bench?.length ? draft.bench.map(p => p.name).join(', ') : 'None';
+  const bench = draft.bench?.length ? joinLimited(draft.bench.map(p => p.name), EMBED_FIELD_LIMIT) : 'None';
 
-  return new EmbedBuilder()
+  const embed = new EmbedBuilder()
     .setTitle(`📋 ${title}`)
-    .setDescription(lines.join('\n'))
     .setColor(0x00BFFF)
     .addFields({ name: `🪑 Bench (${draft.bench?.length || 0})`, value: bench })
-    .setFooter({ text: session.title || 'Mythic+ Night' })
+    .setFooter({ text: draftFooter(session, draft) })
     .setTimestamp(new Date());
+
+  if (checkIn) {
+    const seated = draft.groups.flatMap(draftGroupMembers);
+    const present = seated.filter(p => attendance[p.id]?.status === 'present').length;
+    const closesAt = session.published?.checkInClosesAt;
+    const noShows = Object.values(attendance).filter(a => a.status === 'noshow').map(a => a.name);
+    const summary = `${present}/${seated.length} checked in · ${checkInClosed(session) ? 'closed' : `closes <t:${Math.floor(closesAt / 1000)}:R>`}`;
+    const noShowLabel = '\n❌ No-show: ';
+    embed.addFields({
+      name: '✅ Check-in',
+      value: summary + (noShows.length ? `${noShowLabel}${joinLimited(noShows, EMBED_FIELD_LIMIT - summary.length - noShowLabel.length)}` : '')
+    });
+  }
+
+  const players = [...draft.groups.flatMap(draftGroupMembers), ...(draft.bench || [])];
+  const notes = [
+    ...(draft.notes || []),
+    ...explainUtilityGaps(players, draft.groups.map(g => groupUtilityFlags(draftGroupSeats(g)))),
+    ...(template.keystones
+      ? explainKeyGaps(players, draft.groups.map(g => groupKeystone(draftGroupMembers(g), draft.keyBand)), draft.keyBand)
+      : [])
+  ];
+  if (notes.length) {
+    embed.addFields({ name: '⚠️ Coverage', value: notes.join('\n').slice(0, 1024) });
+  }
+
+  const groupMembers = draft.groups.map(draftGroupMembers);
+  const violations = constraintViolations(groupMembers, draft.constraints || []);
+  if (violations.length) {
+    embed.addFields({
+      name: '🔗 Unmet Constraints',
+      value: describeViolations(violations, groupMembers, players).join('\n').slice(0, 1024)
+    });
+  }
+
+  // Groups take whatever room the fields leave, so large rosters end with "… +N more".
+  const room = Math.min(EMBED_DESCRIPTION_LIMIT, EMBED_TOTAL_LIMIT - embedTextLength(embed));
+  return embed.setDescription(joinLimited(lines, room, '\n'));
 }
 
-/* ----------------------------- grouping solver ----------------------------- */
+const DRAFT_EDITOR_PAGE_SIZE = 25; // Discord's select menu option limit
 
-function rollGroups(signups, desiredGroups = null, attempts = 200) {
-    const players = Object.entries(signups || {}).map(([id, info]) => ({
-    id,
-    name: info.displayName || `<@${id}>`,
-    roles: new Set(info.roles || []),
-    classes: info.classes || {} 
-  }));
+const DRAFT_EDITOR_IDLE_MS = 30 * 60_000;
 
-  const tanks = players.filter(p => p.roles.has('TANK')).length;
-  const heals = players.filter(p => p.roles.has('HEAL')).length;
-  const dps = players.filter(p => p.roles.has('DPS')).length;
+const draftEditors = new Map(); // `${sessionId}:${userId}` -> { picked, target, force, page, targetPage, usedAt }
 
-  const maxByCounts = Math.min(tanks, heals, Math.floor(dps / 3), Math.floor(players.length / 5));
-  const targetGroups = desiredGroups ? Math.min(desiredGroups, maxByCounts) : maxByCounts;
+function getDraftEditor(sessionId, userId, reset = false) {
+  // Ephemeral previews never report being dismissed, so editors left idle are dropped here.
+  const now = Date.now();
+  for (const [key, editor] of draftEditors) {
+    if (now - editor.usedAt > DRAFT_EDITOR_IDLE_MS) draftEditors.delete(key);
+  }
 
-  if (targetGroups <= 0) {
-    return {
-      groups: [],
-      bench: players,
-      reason: `Cannot form any full groups (tanks=${tanks}, heals=${heals}, dps=${dps}, players=${players.length}).`
-    };
+  const key = `${sessionId}:${userId}`;
+  if (reset || !draftEditors.has(key)) {
+    draftEditors.set(key, { picked: [], target: null, force: false, page: 0, targetPage: 0 });
   }
+  const editor = draftEditors.get(key);
+  editor.usedAt = now;
+  return editor;
+}
 
-  function shuffle(arr) {
-    for (let i = arr.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [arr[i], arr[j]] = [arr[j], arr[i]];
-    }
-    return arr;
+function closeDraftEditors(sessionId) {
+  for (const key of draftEditors.keys()) {
+    if (key.startsWith(`${sessionId}:`)) draftEditors.delete(key);
   }
+}
 
-  let best = null;
+function draftTargetLabel(draft, target) {
+  if (!target) return 'none';
+  if (target === 'bench') return 'Bench';
+  const [, gi, role] = target.split(':');
+  return `Group ${Number(gi) + 1} ${{ tank: 'Tank', heal: 'Healer', dps: 'DPS' }[role]}`;
+}
 
-  for (let attempt = 0; attempt < attempts; attempt++) {
-    const pool = shuffle(players.slice());
-    const used = new Set();
+// Select menus + buttons attached to the ephemeral preview so officers can edit in place.
+function buildDraftEditorComponents(session, draft, editor) {
+  const players = [];
+  draft.groups.forEach((g, gi) => {
+    for (const { player, role } of draftGroupSeats(g)) players.push({ p: player, where: `G${gi + 1} ${ROLE_LABELS[role]}` });
+  });
+  for (const p of draft.bench || []) players.push({ p, where: 'Bench' });
 
-    const groups = Array.from({ length: targetGroups }, () => ({
-      tank: null,
-      heal: null,
-      dps: []
-    }));
+  const pages = Math.max(1, Math.ceil(players.length / DRAFT_EDITOR_PAGE_SIZE));
+  editor.page = Math.min(editor.page, pages - 1);
+  const pagePlayers = players.slice(editor.page * DRAFT_EDITOR_PAGE_SIZE, (editor.page + 1) * DRAFT_EDITOR_PAGE_SIZE);
+
+  const rows = [];
+
+  if (pagePlayers.length) {
+    const pickMenu = new StringSelectMenuBuilder()
+      .setCustomId(`mplusdraft:${session.id}:pick`)
+      .setPlaceholder('Pick a player (two to swap)')
+      .setMinValues(1)
+      .setMaxValues(Math.min(2, pagePlayers.length));
+
+    for (const { p, where } of pagePlayers) {
+      pickMenu.addOptions(
+        new StringSelectMenuOptionBuilder()
+          .setLabel(`${where} · ${p.name}`.slice(0, 100))
+          .setValue(p.id)
+          .setDefault(editor.picked.includes(p.id))
+      );
+    }
+    rows.push(new ActionRowBuilder().addComponents(pickMenu));
+  }
 
-    function pick(role) {
-      const candidates = pool.filter(p => p.roles.has(role) && !used.has(p.id));
-      if (!candidates.length) return null;
-      return candidates[Math.floor(Math.random() * candidates.length)];
+  const targets = [{ value: 'bench', label: 'Bench' }];
+  draft.groups.forEach((g, gi) => {
+    for (const role of ROLE_KEYS) {
+      const slots = draftGroupSlots(g).filter(slot => slotRole(slot) === role);
+      if (!slots.length) continue;
+      // A single seat shows who holds it; several seats of a role share one target.
+      const holder = slots.length === 1 ? ` (${g[slots[0]]?.name || 'empty'})` : '';
+      targets.push({ value: `g:${gi}:${SLOT_PREFIX[role]}`, label: `Group ${gi + 1} ${ROLE_LABELS[role]}${holder}` });
     }
+  });
+
+  const targetPages = Math.ceil(targets.length / DRAFT_EDITOR_PAGE_SIZE);
+  editor.targetPage %= targetPages;
+  const pageTargets = targets.slice(editor.targetPage * DRAFT_EDITOR_PAGE_SIZE, (editor.targetPage + 1) * DRAFT_EDITOR_PAGE_SIZE);
+
+  const targetMenu = new StringSelectMenuBuilder()
+    .setCustomId(`mplusdraft:${session.id}:target`)
+    .setPlaceholder('Pick a target slot')
+    .setMinValues(1)
+    .setMaxValues(1);
+  for (const t of pageTargets) {
+    targetMenu.addOptions(
+      new StringSelectMenuOptionBuilder()
+        .setLabel(t.label.slice(0, 100))
+        .setValue(t.value)
+        .setDefault(editor.target === t.value)
+    );
+  }
+  rows.push(new ActionRowBuilder().addComponents(targetMenu));
 
-    // Tanks + Heals
-    for (let g = 0; g < groups.length; g++) {
-      const t = pick('TANK');
-      if (!t) break;
-      used.add(t.id);
-      groups[g].tank = t;
+  rows.push(new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`mplusdraft:${session.id}:move`)
+      .setLabel('➡️ Move')
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId(`mplusdraft:${session.id}:swap`)
+      .setLabel('🔁 Swap')
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId(`mplusdraft:${session.id}:reroll`)
+      .setLabel('🎲 Re-roll group')
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`mplusdraft:${session.id}:force`)
+      .setLabel(editor.force ? '⚠️ Force: on' : 'Force: off')
+      .setStyle(editor.force ? ButtonStyle.Danger : ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`mplusdraft:${session.id}:publish`)
+      .setLabel('📣 Publish')
+      .setStyle(ButtonStyle.Success)
+  ));
+
+  const pageButtons = [];
+  if (pages > 1) {
+    pageButtons.push(new ButtonBuilder()
+      .setCustomId(`mplusdraft:${session.id}:page`)
+      .setLabel(`👥 Players page ${editor.page + 1}/${pages}`)
+      .setStyle(ButtonStyle.Secondary));
+  }
+  if (targetPages > 1) {
+    pageButtons.push(new ButtonBuilder()
+      .setCustomId(`mplusdraft:${session.id}:targetpage`)
+      .setLabel(`🎯 Targets page ${editor.targetPage + 1}/${targetPages}`)
+      .setStyle(ButtonStyle.Secondary));
+  }
+  if (pageButtons.length) rows.push(new ActionRowBuilder().addComponents(...pageButtons));
+
+  return rows;
+}
+
+/* ----------------------------- grouping solver ----------------------------- */
+
+// Draft groups hold one key per seat (see templateSlots), null when the seat is empty.
+function draftGroupSlots(g) {
+  return Object.keys(g).filter(key => SLOT_KEY_PATTERN.test(key));
+}
 
-      const h = pick('HEAL');
-      if (!h) break;
-      used.add(h.id);
-      groups[g].heal = h;
+function draftGroupSeats(g) {
+  return draftGroupSlots(g).filter(key => g[key]).map(key => ({ player: g[key], role: slotRole(key) }));
+}
+
+function draftGroupMembers(g) {
+  return draftGroupSlots(g).map(key => g[key]).filter(Boolean);
+}
+
+// Solver groups are { TANK: [], HEAL: [], DPS: [] }.
+function solverGroupSeats(g) {
+  return ROLE_KEYS.flatMap(role => g[role].filter(Boolean).map(player => ({ player, role })));
+}
+
+function solverGroupMembers(g) {
+  return ROLE_KEYS.flatMap(role => g[role]).filter(Boolean);
+}
+
+function solverGroupUtility(g) {
+  return groupUtilityFlags(solverGroupSeats(g));
+}
+
+// Players who bring the utility in at least one of the roles they signed up for.
+function utilityCapableCount(players, utilClasses) {
+  return players.filter(p =>
+    [...p.roles].some(role => utilClasses.has(getAssignedClass(p, role)))
+  ).length;
+}
+
+// Greedy swap pass: swap two seated players (when each can play the other's role)
+// or bring a bench player in whenever that raises the summed groupScore(g), e.g. lust / brez coverage.
+// `canBench(seated, benched)` can veto sending a particular seated player to the bench.
+function improveGroups(groups, bench, groupScore, canBench = () => true) {
+  const slots = [];
+  groups.forEach((g, gi) => {
+    for (const role of ROLE_KEYS) {
+      g[role].forEach((_, si) => {
+        slots.push({ gi, role, get: () => g[role][si], set: p => { g[role][si] = p; } });
+      });
     }
+  });
 
-    if (groups.some(gr => !gr.tank || !gr.heal)) continue;
+  const scores = groups.map(groupScore);
+
+  // Re-score only the groups a move touched; keep the move if their total went up.
+  const keepIfBetter = (ga, gb) => {
+    const before = ga === gb ? scores[ga] : scores[ga] + scores[gb];
+    const sa = groupScore(groups[ga]);
+    const sb = ga === gb ? sa : groupScore(groups[gb]);
+    if ((ga === gb ? sa : sa + sb) <= before) return false;
+    scores[ga] = sa;
+    scores[gb] = sb;
+    return true;
+  };
 
-    const dpsCandidates = pool.filter(p => p.roles.has('DPS'));
+  let improved = true;
 
-    function fillDps(groupIndex, slotIndex) {
-      if (groupIndex >= groups.length) return true;
-      if (slotIndex >= 3) return fillDps(groupIndex + 1, 0);
+  while (improved) {
+    improved = false;
 
-      const candidates = dpsCandidates
-        .filter(p => !used.has(p.id))
-        .sort((a, b) => a.roles.size - b.roles.size);
+    for (let i = 0; i < slots.length; i++) {
+      const a = slots[i];
 
-      const top = candidates.slice(0, Math.min(10, candidates.length));
-      shuffle(top);
+      for (let j = i + 1; j < slots.length; j++) {
+        const b = slots[j];
+        if (a.gi === b.gi && a.role === b.role) continue;
 
-      for (const p of top) {
-        used.add(p.id);
-        groups[groupIndex].dps.push(p);
+        const pa = a.get();
+        const pb = b.get();
+        if (!pb.roles.has(a.role) || !pa.roles.has(b.role)) continue;
 
-        if (fillDps(groupIndex, slotIndex + 1)) return true;
+        a.set(pb);
+        b.set(pa);
 
-        used.delete(p.id);
-        groups[groupIndex].dps.pop();
+        if (keepIfBetter(a.gi, b.gi)) {
+          improved = true;
+        } else {
+          a.set(pa);
+          b.set(pb);
+        }
       }
-      return false;
-    }
 
-    if (!fillDps(0, 0)) continue;
+      for (let bi = 0; bi < bench.length; bi++) {
+        const benched = bench[bi];
+        if (!benched.roles.has(a.role)) continue;
 
-    const bench = pool.filter(p => !used.has(p.id));
-    const score = used.size;
+        const seated = a.get();
+        if (!canBench(seated, benched)) continue;
 
-    if (!best || score > best.score) {
-      best = { score, groups, bench };
-      if (score === targetGroups * 5) break;
+        a.set(benched);
+        bench[bi] = seated;
+
+        if (keepIfBetter(a.gi, a.gi)) {
+          improved = true;
+        } else {
+          a.set(seated);
+          bench[bi] = benched;
+        }
+      }
     }
   }
 
-  if (!best) {
-    return {
-      groups: [],
-      bench: players,
-      reason: `Tried ${attempts} solves but couldn't find a valid assignment. Role distribution is probably too tight.`
-    };
+  return scores.reduce((sum, v) => sum + v, 0);
+}
+
+// Human-readable notes for every group left without lust / brez.
+// `coverage` holds one groupUtilityFlags() result per group.
+function explainUtilityGaps(players, coverage) {
+  const notes = [];
+  const checks = [
+    { key: 'hasLust', label: 'Lust', classes: LUST_CLASSES, noun: 'lust' },
+    { key: 'hasBrez', label: 'Brez', classes: BREZ_CLASSES, noun: 'brez' }
+  ];
+
+  for (const c of checks) {
+    const missing = [];
+    coverage.forEach((util, idx) => {
+      if (!util[c.key]) missing.push(idx + 1);
+    });
+    if (!missing.length) continue;
+
+    const capable = utilityCapableCount(players, c.classes);
+    const why = capable < coverage.length
+      ? `only ${capable} ${c.noun} class${capable === 1 ? '' : 'es'} signed up for ${coverage.length} groups`
+      : `the ${c.noun} players are needed in other slots to keep every role filled`;
+
+    notes.push(`${c.label} missing in Group ${missing.join(', ')}: ${why}.`);
   }
 
-  return { groups: best.groups, bench: best.bench, reason: null };
+  return notes;
 }
 
-function formatGroups(result) {
-  if (!result.groups.length) return result.reason || 'No groups formed.';
-  const lines = [];
-  result.groups.forEach((g, idx) => {
-    lines.push(`**Group ${idx + 1}**`);
-    lines.push(`Tank: ${g.tank.name}`);
-    lines.push(`Healer: ${g.heal.name}`);
-    lines.push(`DPS: ${g.dps.map(p => p.name).join(', ')}`);
-    lines.push('');
+// Notes for every group without a key in the band. `keys` holds one groupKeystone() result per group.
+function explainKeyGaps(players, keys, band) {
+  const missing = [];
+  keys.forEach((key, idx) => {
+    if (!key) missing.push(idx + 1);
   });
-  if (result.bench.length) {
-    lines.push(`**Bench (${result.bench.length})**: ${result.bench.map(p => p.name).join(', ')}`);
+  if (!missing.length) return [];
+
+  const holders = players.filter(p => keyInBand(p.keystone, band)).length;
+  if (!holders && !band?.min && !band?.max) return []; // nobody registered a key
+
+  const why = holders < keys.length
+    ? `only ${holders} key${holders === 1 ? '' : 's'} in ${formatKeyBand(band)} signed up for ${keys.length} groups`
+    : 'the key holders are needed in other slots to keep every role filled';
+
+  return [`No key in ${formatKeyBand(band)} for Group ${missing.join(', ')}: ${why}.`];
+}
+
+// How often each player sat out (benched, or signed up but not in the draft) over the
+// last `weeks` sessions before `session` that published groups. Map<userId, { benched, weeks }>.
+function benchHistory(guildState, session, weeks = 3) {
+  const past = Object.values(guildState.sessions || {})
+    // Only published groups count; a draft that was previewed and dropped benched nobody.
+    .filter(s => s.id !== session.id && (s.createdAt || 0) < (session.createdAt || Infinity) && s.published && s.lastDraft?.groups?.length)
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+    .slice(0, weeks);
+
+  const history = new Map();
+  for (const s of past) {
+    const seated = new Set(s.lastDraft.groups.flatMap(draftGroupMembers).map(p => p.id));
+    for (const userId of Object.keys(s.signups || {})) {
+      // A no-show lost their seat; that doesn't earn bench priority.
+      if (seated.has(userId) || s.attendance?.[userId]?.status === 'noshow') continue;
+      const h = history.get(userId) || { benched: 0, weeks: past.length };
+      h.benched++;
+      history.set(userId, h);
+    }
   }
-  return lines.join('\n');
+  return history;
 }
 
-/* ----------------------------- draft + swap helpers ----------------------------- */
+// "A, B got priority because benched 2 of last 3 weeks", one line per bench count.
+function explainBenchPriority(groups, history) {
+  const byCount = new Map();
+  for (const p of groups.flatMap(solverGroupMembers)) {
+    const h = history.get(p.id);
+    if (!h) continue;
+    const key = `${h.benched} of last ${h.weeks} week${h.weeks === 1 ? '' : 's'}`;
+    byCount.set(key, [...(byCount.get(key) || []), p.name]);
+  }
 
-function draftFromResult(result) {
-  return {
-    createdAt: Date.now(),
-        groups: result.groups.map(g => ({
-      tank: g.tank ? { id: g.tank.id, name: g.tank.name, roles: [...g.tank.roles], classes: g.tank.classes || {} } : null,
-      heal: g.heal ? { id: g.heal.id, name: g.heal.name, roles: [...g.heal.roles], classes: g.heal.classes || {} } : null,
-      dps1: g.dps?.[0] ? { id: g.dps[0].id, name: g.dps[0].name, roles: [...g.dps[0].roles], classes: g.dps[0].classes || {} } : null,
-      dps2: g.dps?.[1] ? { id: g.dps[1].id, name: g.dps[1].name, roles: [...g.dps[1].roles], classes: g.dps[1].classes || {} } : null,
-      dps3: g.dps?.[2] ? { id: g.dps[2].id, name: g.dps[2].name, roles: [...g.dps[2].roles], classes: g.dps[2].classes || {} } : null
-    })),
-    bench: result.bench.map(p => ({ id: p.id, name: p.name, roles: [...p.roles], classes: p.classes || {} }))
-  };
+  return [...byCount.entries()]
+    .sort((a, b) => parseInt(b[0], 10) - parseInt(a[0], 10))
+    .map(([key, names]) => `${names.join(', ')} got priority because benched ${key}.`);
 }
 
-function formatDraft(draft) {
-  if (!draft?.groups?.length) return 'No draft available.';
+// Keep-together / keep-apart constraints that apply to a set of signups (both players signed up).
+function relevantConstraints(constraints, signups) {
+  return (constraints || []).filter(c => signups?.[c.a] && signups?.[c.b]);
+}
 
-  const lines = [];
+// Constraints broken by a set of groups, each given as its list of members.
+function constraintViolations(groupMembers, constraints) {
+  const groupOf = new Map();
+  groupMembers.forEach((members, gi) => {
+    for (const p of members) groupOf.set(p.id, gi);
+  });
 
-  draft.groups.forEach((g, idx) => {
-    const tank = g.tank
-      ? `${playerClassIconForRole(g.tank, 'TANK')} ${g.tank.name}`
-      : '—';
-
-    const heal = g.heal
-      ? `${playerClassIconForRole(g.heal, 'HEAL')} ${g.heal.name}`
-      : '—';
-
-    const dpsPlayers = [g.dps1, g.dps2, g.dps3].filter(Boolean);
-    const dps = dpsPlayers.length
-      ? dpsPlayers.map(p => `${playerClassIconForRole(p, 'DPS')} ${p.name}`).join(', ')
-      : '—';
-
-    lines.push(
-      `**Group ${idx + 1}**\n` +
-      `🛡️ ${tank}\n` +
-      `💚 ${heal}\n` +
-      `⚔️ ${dps}\n`
-    );
+  return constraints.filter(c => {
+    const ga = groupOf.get(c.a);
+    const gb = groupOf.get(c.b);
+    if (c.type === 'together') return ga !== gb;
+    return ga !== undefined && ga === gb;
   });
+}
 
-  if (draft.bench?.length) {
-    const bench = draft.bench.map(p => `${playerClassIconForRole(p, 'DPS')} ${p.name}`).join(', ');
-    lines.push(`**Bench (${draft.bench.length})**: ${bench}`);
+function describeViolations(violations, groupMembers, players) {
+  const nameOf = (id) => players.find(p => p.id === id)?.name || `<@${id}>`;
+  const whereOf = (id) => {
+    const gi = groupMembers.findIndex(members => members.some(p => p.id === id));
+    return gi >= 0 ? `Group ${gi + 1}` : 'bench';
+  };
+
+  return violations.map(c => {
+    const strength = c.hard ? 'hard' : 'soft';
+    return c.type === 'together'
+      ? `🔗 Keep together (${strength}) ${nameOf(c.a)} + ${nameOf(c.b)}: split between ${whereOf(c.a)} and ${whereOf(c.b)}.`
+      : `⛔ Keep apart (${strength}) ${nameOf(c.a)} + ${nameOf(c.b)}: both in ${whereOf(c.a)}.`;
+  });
+}
+
+const ROLE_KEYS = ['TANK', 'HEAL', 'DPS'];
+const ROLE_NOUNS = { TANK: 'tank', HEAL: 'healer', DPS: 'DPS' };
+
+function roleDemand(groupCount, template = DEFAULT_TEMPLATE) {
+  return Object.fromEntries(ROLE_KEYS.map(role => [role, groupCount * template.slots[role]]));
+}
+
+// All non-empty subsets of ROLE_KEYS, smallest first.
+const ROLE_SUBSETS = [1, 2, 4, 3, 5, 6, 7].map(mask => ROLE_KEYS.filter((_, i) => mask & (1 << i)));
+
+// Hall's condition: `groupCount` groups can be filled iff, for every set of roles,
+// at least as many players can play one of those roles as there are slots for them.
+// Returns the shortfall per role set (only the ones that fall short).
+function roleShortfalls(players, groupCount, template = DEFAULT_TEMPLATE) {
+  const demand = roleDemand(groupCount, template);
+  const shortfalls = [];
+
+  for (const roles of ROLE_SUBSETS) {
+    const need = roles.reduce((sum, r) => sum + demand[r], 0);
+    const have = players.filter(p => roles.some(r => p.roles.has(r))).length;
+    if (need > have) shortfalls.push({ roles, missing: need - have });
   }
 
-  return lines.join('\n');
+  return shortfalls;
 }
 
-function findPlayerInDraft(draft, userId) {
-  for (let gi = 0; gi < draft.groups.length; gi++) {
-    const g = draft.groups[gi];
-    for (const slot of ['tank', 'heal', 'dps1', 'dps2', 'dps3']) {
-      if (g[slot]?.id === userId) return { where: 'group', gi, slot };
+function maxFormableGroups(players, template = DEFAULT_TEMPLATE) {
+  let groupCount = Math.floor(players.length / groupSize(template));
+  while (groupCount > 0 && roleShortfalls(players, groupCount, template).length) groupCount--;
+  return groupCount;
+}
+
+// The most groups preview / roll will try for; explainShortfall's search grows with the cube of it.
+const MAX_GROUPS = 50;
+
+// "need 1 more tank and 2 more DPS to make 4 groups": the smallest number of
+// single-role signups that would make `groupCount` groups possible.
+function explainShortfall(players, groupCount, template = DEFAULT_TEMPLATE) {
+  const demand = roleDemand(groupCount, template);
+  const shortfalls = roleShortfalls(players, groupCount, template);
+  // No role ever needs more extra signups than the largest single shortfall.
+  const most = Math.max(0, ...shortfalls.map(sf => sf.missing));
+  const limit = (role) => Math.min(demand[role], most);
+
+  let best = null;
+  for (let tank = 0; tank <= limit('TANK'); tank++) {
+    for (let heal = 0; heal <= limit('HEAL'); heal++) {
+      for (let dps = 0; dps <= limit('DPS'); dps++) {
+        const add = { TANK: tank, HEAL: heal, DPS: dps };
+        const total = tank + heal + dps;
+        if (best && total >= best.total) continue;
+
+        const fixesAll = shortfalls.every(sf => sf.roles.reduce((sum, r) => sum + add[r], 0) >= sf.missing);
+        if (fixesAll) best = { total, add };
+      }
     }
   }
-  for (let bi = 0; bi < (draft.bench?.length || 0); bi++) {
-    if (draft.bench[bi]?.id === userId) return { where: 'bench', bi };
-  }
-  return null;
-}
 
-function roleAllowedForSlot(player, slot) {
-  if (!player) return true;
-  const roles = new Set(player.roles || []);
-  if (slot === 'tank') return roles.has('TANK');
-  if (slot === 'heal') return roles.has('HEAL');
-  if (slot.startsWith('dps')) return roles.has('DPS');
-  return true;
+  const parts = ROLE_KEYS
+    .filter(r => best.add[r] > 0)
+    .map(r => `${best.add[r]} more ${ROLE_NOUNS[r]}${r !== 'DPS' && best.add[r] !== 1 ? 's' : ''}`);
+  const list = parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts.at(-1)}` : parts[0];
+
+  return `need ${list} to make ${groupCount} group${groupCount === 1 ? '' : 's'}`;
 }
 
-/* ----------------------------- discord setup ----------------------------- */
+// Fill every role slot for `groupCount` groups with a min-cost flow
+// (source -> player -> role -> sink). Fill-role placements cost more than any seat
+// ordering, so they only happen when a group cannot be completed otherwise; among
+// equal fills, players earlier in `players` get the seats. Returns Map<playerId, role> or null.
+function assignRoles(players, groupCount, template = DEFAULT_TEMPLATE) {
+  const demand = roleDemand(groupCount, template);
+  const seats = groupCount * groupSize(template);
+  const n = players.length;
+  const FILL_COST = n * n + 1;
+
+  const source = 0;
+  const roleNode = (r) => n + 1 + ROLE_KEYS.indexOf(r);
+  const sink = n + 4;
+  const graph = Array.from({ length: n + 5 }, () => []);
+
+  const addEdge = (from, to, cap, cost) => {
+    graph[from].push({ to, cap, cost, rev: graph[to].length });
+    graph[to].push({ to: from, cap: 0, cost: -cost, rev: graph[from].length - 1 });
+  };
 
-const client = new Client({
-  intents: [GatewayIntentBits.Guilds],
-  partials: [Partials.Channel]
-});
+  players.forEach((p, i) => {
+    addEdge(source, i + 1, 1, i);
+    for (const role of ROLE_KEYS) {
+      if (p.roles.has(role)) addEdge(i + 1, roleNode(role), 1, isFillRole(p, role) ? FILL_COST : 0);
+    }
+  });
+  for (const role of ROLE_KEYS) addEdge(roleNode(role), sink, demand[role], 0);
+
+  let flow = 0;
+  while (flow < seats) {
+    // Bellman-Ford on the residual graph (reverse edges carry negative costs).
+    const dist = new Array(graph.length).fill(Infinity);
+    const prev = new Array(graph.length).fill(null);
+    dist[source] = 0;
+
+    for (let changed = true; changed;) {
+      changed = false;
+      for (let u = 0; u < graph.length; u++) {
+        if (dist[u] === Infinity) continue;
+        for (const e of graph[u]) {
+          if (e.cap > 0 && dist[u] + e.cost < dist[e.to]) {
+            dist[e.to] = dist[u] + e.cost;
+            prev[e.to] = { u, e };
+            changed = true;
+          }
+        }
+      }
+    }
 
-const commands = [
-  new SlashCommandBuilder()
-    .setName('mplus')
-    .setDescription('Mythic+ signup and group roller')
-    .addSubcommand(sc =>
-      sc.setName('create')
-        .setDescription('Create a new weekly signup session (fresh signups)')
-        .addStringOption(o => o.setName('title').setDescription('Title').setRequired(true))
-        .addStringOption(o => o.setName('description').setDescription('Optional description'))
-        .addIntegerOption(o => o.setName('lock_in_minutes').setDescription('Lock in X minutes from now'))
+    if (dist[sink] === Infinity) break;
+
+    for (let v = sink; v !== source; v = prev[v].u) {
+      const { u, e } = prev[v];
+      e.cap -= 1;
+      graph[v][e.rev].cap += 1;
+    }
+    flow++;
+  }
+
+  if (flow < seats) return null;
+
+  const assigned = new Map();
+  players.forEach((p, i) => {
+    const used = graph[i + 1].find(e => e.to > n && e.to < sink && e.cap === 0);
+    if (used) assigned.set(p.id, ROLE_KEYS[used.to - n - 1]);
+  });
+  return assigned;
+}
+
+// Signups as solver players: { id, name, roles: Set, classes, keystone, rating, mainRole }.
+function signupPlayers(signups) {
+  return Object.entries(signups || {}).map(([id, info]) => ({
+    id,
+    name: info.displayName || `<@${id}>`,
+    roles: new Set(info.roles || []),
+    classes: info.classes || {},
+    specs: info.specs || {},
+    keystone: info.keystone || null,
+    rating: isValidRating(info.rating) ? info.rating : null,
+    mainRole: mainRoleOf(info),
+    characters: characterNames(info),
+    ratings: characterRatings(info)
+  }));
+}
+
+// mulberry32 seeded from an FNV-1a hash of the seed text, so any seed replays the same roll.
+function seededRandom(seed) {
+  let state = 2166136261;
+  for (const ch of String(seed)) state = Math.imul(state ^ ch.codePointAt(0), 16777619);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+}
+
+function shuffle(arr, random = Math.random) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+// Always forms the maximum number of full groups the signups allow (see roleShortfalls).
+// `attempts` only controls how many shuffled starting points are tried to improve
+// lust / brez / key coverage; it no longer affects whether a solution is found.
+// `history` (see benchHistory) moves recently benched players to the front for seats.
+// `template` (see ACTIVITY_TEMPLATES) sets the seats per group; keys only count when it uses keystones.
+// `ratingMode` 'balance' evens out average rating between groups, 'cluster' groups similar ratings.
+// `seed` drives every shuffle: the same seed, signups, bench history and options give the same groups.
+function rollGroups(signups, desiredGroups = null, attempts = 200, options = {}) {
+  const { requireLust = false, requireBrez = false, history = new Map(), template = DEFAULT_TEMPLATE, ratingMode = null, dpsMix: mixDps = true } = options;
+  const seed = String(options.seed || randomSeed());
+  const random = seededRandom(seed);
+  const keyBand = template.keystones ? options.keyBand || null : null;
+  const constraints = relevantConstraints(options.constraints, signups);
+  const benchedCount = (p) => history.get(p.id)?.benched || 0;
+  const size = groupSize(template);
+
+  // Sorted so the seed alone decides the order, whatever order the signups were stored in.
+  const players = signupPlayers(signups).sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+  const maxGroups = maxFormableGroups(players, template);
+  const notes = [];
+
+  if (maxGroups <= 0) {
+    return {
+      groups: [],
+      bench: players,
+      notes,
+      keyBand,
+      template,
+      ratingMode,
+      seed,
+      reason: `Cannot form any full groups: ${explainShortfall(players, 1, template)}.`
+    };
+  }
+
+  let targetGroups = maxGroups;
+  if (!(desiredGroups >= 1)) desiredGroups = null;
+  if (desiredGroups && desiredGroups < maxGroups) {
+    targetGroups = desiredGroups;
+  } else if (desiredGroups && desiredGroups > maxGroups) {
+    // Explaining the next group up is enough, and keeps a huge request from stalling the search.
+    notes.push(`Only ${maxGroups} group${maxGroups === 1 ? '' : 's'} possible: ${explainShortfall(players, Math.min(desiredGroups, maxGroups + 1), template)}.`);
+  } else if (!desiredGroups && players.length > maxGroups * size) {
+    notes.push(`${players.length - maxGroups * size} on the bench: ${explainShortfall(players, maxGroups + 1, template)}.`);
+  }
+
+  // Hard utility constraints: never form more groups than there are players to cover them.
+  const hardLimits = [
+    { on: requireLust, classes: LUST_CLASSES, noun: 'lust' },
+    { on: requireBrez, classes: BREZ_CLASSES, noun: 'brez' }
+  ];
+  for (const h of hardLimits) {
+    if (!h.on) continue;
+    const capable = utilityCapableCount(players, h.classes);
+    if (capable < targetGroups) {
+      notes.push(`Only ${capable} ${h.noun} class${capable === 1 ? '' : 'es'} signed up, so only ${capable} group${capable === 1 ? '' : 's'} can be formed with ${h.noun} required.`);
+      targetGroups = capable;
+    }
+  }
+
+  // One point each for lust, brez and a key in the band. A fill-role placement costs
+  // more than a group can gain, so swaps never trade a main role for utility.
+  const FILL_PENALTY = 4;
+  const fillCount = (g) => solverGroupSeats(g).filter(({ player, role }) => isFillRole(player, role)).length;
+  // A split pair costs each group holding one of them half its weight, so moving them
+  // together (or apart) is always worth it; hard constraints outweigh everything else.
+  const constraintWeight = (c) => (c.hard ? 40 : 2);
+  const constraintPenalty = (g) => {
+    const ids = new Set(solverGroupMembers(g).map(p => p.id));
+    let penalty = 0;
+    for (const c of constraints) {
+      const hasA = ids.has(c.a);
+      const hasB = ids.has(c.b);
+      if (c.type === 'together' && hasA !== hasB) penalty += constraintWeight(c) / 2;
+      if (c.type === 'apart' && hasA && hasB) penalty += constraintWeight(c);
+    }
+    return penalty;
+  };
+  // Every RATING_STEP of rating spread costs a point: for 'balance' the gap between the
+  // group's average and everyone's, for 'cluster' the range inside the group.
+  const RATING_STEP = 250;
+  const RATING_PATIENCE = 40;
+  const ratedPool = players.map(p => seatRating(p, p.mainRole || [...p.roles][0])).filter(isValidRating);
+  const meanRating = ratedPool.length ? ratedPool.reduce((sum, r) => sum + r, 0) / ratedPool.length : 0;
+  const ratingPenalty = (g) => {
+    if (!ratingMode || !ratedPool.length) return 0;
+    const ratings = solverGroupSeats(g).map(({ player, role }) => seatRating(player, role)).filter(isValidRating);
+    if (!ratings.length) return 0;
+    if (ratingMode === 'cluster') return (Math.max(...ratings) - Math.min(...ratings)) / RATING_STEP;
+    return Math.abs(ratings.reduce((sum, r) => sum + r, 0) / ratings.length - meanRating) / RATING_STEP;
+  };
+  // Half a point for every DPS seat a group leans past an even melee / ranged split (one
+  // extra either way is even for an odd count); DPS without a spec can go either way.
+  const MIX_WEIGHT = 0.5;
+  const mixing = mixDps && players.some(p => p.roles.has('DPS') && getAssignedSpec(p, 'DPS'));
+  const mixPenalty = (g) => {
+    if (!mixing) return 0;
+    const mix = dpsMix(solverGroupSeats(g));
+    return MIX_WEIGHT * Math.max(0, Math.abs(mix.melee - mix.ranged) - mix.unknown - 1);
+  };
+  const groupScore = (g) => {
+    const util = solverGroupUtility(g);
+    return (util.hasLust ? 1 : 0) + (util.hasBrez ? 1 : 0) +
+      (template.keystones && groupKeystone(solverGroupMembers(g), keyBand) ? 1 : 0) -
+      FILL_PENALTY * fillCount(g) -
+      constraintPenalty(g) -
+      ratingPenalty(g) -
+      mixPenalty(g);
+  };
+  const scoreCeiling = (groupCount) =>
+    Math.min(groupCount, utilityCapableCount(players, LUST_CLASSES)) +
+    Math.min(groupCount, utilityCapableCount(players, BREZ_CLASSES)) +
+    (template.keystones ? Math.min(groupCount, players.filter(p => keyInBand(p.keystone, keyBand)).length) : 0);
+  const meetsHardLimits = (gs) => {
+    const coverage = gs.map(solverGroupUtility);
+    if (requireLust && coverage.some(u => !u.hasLust)) return false;
+    if (requireBrez && coverage.some(u => !u.hasBrez)) return false;
+    return true;
+  };
+
+  for (let groupCount = targetGroups; groupCount > 0; groupCount--) {
+    const ceiling = scoreCeiling(groupCount);
+    let best = null;
+    let bestAttempt = 0;
+
+    for (let attempt = 0; attempt < Math.max(1, attempts); attempt++) {
+      // Shuffle for a fair draw, then a stable sort so recently benched players go first.
+      const order = shuffle(players.slice(), random).sort((a, b) => benchedCount(b) - benchedCount(a));
+      const assigned = assignRoles(order, groupCount, template);
+      if (!assigned) break; // cannot happen for groupCount <= maxGroups
+
+      const byRole = { TANK: [], HEAL: [], DPS: [] };
+      for (const p of order) {
+        if (assigned.has(p.id)) byRole[assigned.get(p.id)].push(p);
+      }
+
+      const groups = Array.from({ length: groupCount }, (_, g) => Object.fromEntries(
+        ROLE_KEYS.map(role => {
+          const n = template.slots[role];
+          return [role, byRole[role].slice(g * n, g * n + n)];
+        })
+      ));
+      const bench = order.filter(p => !assigned.has(p.id));
+
+      const value = improveGroups(groups, bench, groupScore, (seated, benched) => benchedCount(benched) >= benchedCount(seated));
+      const ok = meetsHardLimits(groups);
+      if (!best || (ok && !best.ok) || (ok === best.ok && value > best.value)) {
+        best = { ok, value, groups, bench };
+        bestAttempt = attempt;
+        const fills = groups.reduce((sum, g) => sum + fillCount(g), 0);
+        const penalty = groups.reduce((sum, g) => sum + constraintPenalty(g) + ratingPenalty(g), 0);
+        // With a rating mode there is no known best spread to stop at, and a lopsided DPS
+        // mix may be the best the signups allow...
+        if (ok && !(ratingMode && ratedPool.length) && value + FILL_PENALTY * fills + penalty >= ceiling) break;
+      }
+      // ...so stop once a run of attempts brings nothing better.
+      if ((ratingMode || mixing) && best?.ok && attempt - bestAttempt >= RATING_PATIENCE) break;
+    }
+
+    if (best?.ok) {
+      if (best.bench.length) notes.push(...explainBenchPriority(best.groups, history));
+      return { groups: best.groups, bench: best.bench, notes, keyBand, template, ratingMode, dpsMix: mixDps, seed, constraints, reason: null };
+    }
+
+    notes.push(`Could not give all ${groupCount} groups the required lust/brez; trying ${groupCount - 1}.`);
+  }
+
+  return {
+    groups: [],
+    bench: players,
+    notes,
+    keyBand,
+    template,
+    ratingMode,
+    seed,
+    reason: `${notes.join('\n')}\nTry again without the lust/brez requirement.`
+  };
+}
+
+function formatSeed(seed, edited = false) {
+  return `🎲 Seed \`${seed}\`${edited ? ' (edited since the roll)' : ''}`;
+}
+
+function formatGroups(result) {
+  if (!result.groups.length) return result.reason || 'No groups formed.';
+  const template = result.template || DEFAULT_TEMPLATE;
+  const showRatings = result.groups.some(g => solverGroupSeats(g).some(({ player, role }) => isValidRating(seatRating(player, role))));
+  const lines = [];
+  result.groups.forEach((g, idx) => {
+    lines.push(`**Group ${idx + 1}**`);
+    const fill = (p, roleKey) => (isFillRole(p, roleKey) ? ' (fill)' : '');
+    const spec = (p, roleKey) => (getAssignedSpec(p, roleKey) ? ` · ${getAssignedSpec(p, roleKey).label}` : '');
+    for (const role of ROLE_KEYS) {
+      if (g[role].length) lines.push(`${ROLE_LABELS[role]}: ${g[role].map(p => `${seatName(p, role)}${spec(p, role)}${fill(p, role)}`).join(', ')}`);
+    }
+    if (template.keystones) {
+      const key = groupKeystone(solverGroupMembers(g), result.keyBand);
+      lines.push(`Key: ${key ? `${formatKeystone(key)} (${key.ownerName})` : 'None'}`);
+    }
+    if (showRatings) lines.push(formatGroupRating(solverGroupSeats(g)));
+    lines.push('');
+  });
+  if (result.bench.length) {
+    lines.push(`**Bench (${result.bench.length})**: ${result.bench.map(p => p.name).join(', ')}`);
+  }
+  const players = [...result.groups.flatMap(solverGroupMembers), ...result.bench];
+  const notes = [
+    ...(result.notes || []),
+    ...explainUtilityGaps(players, result.groups.map(solverGroupUtility)),
+    ...(template.keystones
+      ? explainKeyGaps(players, result.groups.map(g => groupKeystone(solverGroupMembers(g), result.keyBand)), result.keyBand)
+      : [])
+  ];
+  const groupMembers = result.groups.map(solverGroupMembers);
+  notes.push(...describeViolations(constraintViolations(groupMembers, result.constraints || []), groupMembers, players));
+  if (notes.length) {
+    if (result.bench.length) lines.push('');
+    lines.push(`⚠️ ${notes.join('\n⚠️ ')}`);
+  }
+  if (result.seed) lines.push('', formatSeed(result.seed));
+  return lines.join('\n');
+}
+
+/* ----------------------------- draft + swap helpers ----------------------------- */
+
+function toDraftPlayer(p) {
+  return p
+    ? { id: p.id, name: p.name, roles: [...p.roles], classes: p.classes || {}, specs: p.specs || {}, keystone: p.keystone || null, rating: p.rating ?? null, mainRole: p.mainRole || null, characters: p.characters || {}, ratings: p.ratings || {} }
+    : null;
+}
+
+function draftFromResult(result) {
+  const template = result.template || DEFAULT_TEMPLATE;
+  const slots = templateSlots(template);
+  const toDraftGroup = (g) => {
+    const seen = { TANK: 0, HEAL: 0, DPS: 0 };
+    return Object.fromEntries(slots.map(({ key, role }) => [key, toDraftPlayer(g[role]?.[seen[role]++])]));
+  };
+
+  return {
+    createdAt: Date.now(),
+    template,
+    groups: result.groups.map(toDraftGroup),
+    bench: result.bench.map(toDraftPlayer),
+    notes: result.notes || [],
+    keyBand: result.keyBand || null,
+    ratingMode: result.ratingMode || null,
+    dpsMix: result.dpsMix ?? true,
+    seed: result.seed || null,
+    constraints: result.constraints || []
+  };
+}
+
+function formatDraft(draft) {
+  if (!draft?.groups?.length) return 'No draft available.';
+
+  const lines = [];
+
+  draft.groups.forEach((g, idx) => {
+    const seats = draftGroupSeats(g);
+    const roleLines = ROLE_KEYS.filter(role => draftTemplate(draft).slots[role] > 0).map(role => {
+      const players = seats.filter(seat => seat.role === role).map(seat => seat.player);
+      const names = players.length ? players.map(p => `${playerClassIconForRole(p, role)} ${p.name}`).join(', ') : '—';
+      return `${ROLE_ICONS[role]} ${names}\n`;
+    });
+
+    lines.push(`**Group ${idx + 1}**\n` + roleLines.join(''));
+  });
+
+  if (draft.bench?.length) {
+    const bench = draft.bench.map(p => `${playerClassIconForRole(p, 'DPS')} ${p.name}`).join(', ');
+    lines.push(`**Bench (${draft.bench.length})**: ${bench}`);
+  }
+
+  return lines.join('\n');
+}
+
+function findPlayerInDraft(draft, userId) {
+  for (let gi = 0; gi < draft.groups.length; gi++) {
+    const g = draft.groups[gi];
+    for (const slot of draftGroupSlots(g)) {
+      if (g[slot]?.id === userId) return { where: 'group', gi, slot };
+    }
+  }
+  for (let bi = 0; bi < (draft.bench?.length || 0); bi++) {
+    if (draft.bench[bi]?.id === userId) return { where: 'bench', bi };
+  }
+  return null;
+}
+
+function roleAllowedForSlot(player, slot) {
+  if (!player) return true;
+  if (!SLOT_KEY_PATTERN.test(slot)) return true;
+  return (player.roles || []).includes(slotRole(slot));
+}
+
+const MAX_DRAFT_REVISIONS = 25;
+
+function cloneDraft(draft) {
+  return JSON.parse(JSON.stringify(draft));
+}
+
+// Record `draft` as the newest revision and make it the current draft. Revisions that
+// were undone are dropped, the same way an editor drops its redo stack.
+function commitDraft(session, draft, userId, summary) {
+  session.draftRevisions ||= [];
+  const index = session.draftRevisionIndex ?? session.draftRevisions.length - 1;
+
+  session.draftRevisions = session.draftRevisions.slice(0, index + 1);
+  session.nextDraftRev = (session.nextDraftRev || 0) + 1;
+  session.draftRevisions.push({
+    rev: session.nextDraftRev,
+    at: Date.now(),
+    by: userId,
+    summary,
+    draft: cloneDraft(draft)
+  });
+
+  const overflow = session.draftRevisions.length - MAX_DRAFT_REVISIONS;
+  if (overflow > 0) session.draftRevisions.splice(0, overflow);
+
+  session.draftRevisionIndex = session.draftRevisions.length - 1;
+  session.lastDraft = draft;
+}
+
+function checkoutDraftRevision(session, index) {
+  session.draftRevisionIndex = index;
+  session.lastDraft = cloneDraft(session.draftRevisions[index].draft);
+}
+
+function draftLocationLabel(draft, userId) {
+  const loc = findPlayerInDraft(draft, userId);
+  if (!loc) return 'not in draft';
+  if (loc.where === 'bench') return 'Bench';
+  return `Group ${loc.gi + 1} ${ROLE_LABELS[slotRole(loc.slot)]}`;
+}
+
+// One line per player whose spot differs between two drafts.
+function diffDrafts(fromDraft, toDraft) {
+  const players = new Map();
+  for (const d of [fromDraft, toDraft]) {
+    for (const p of [...d.groups.flatMap(draftGroupMembers), ...(d.bench || [])]) players.set(p.id, p.name);
+  }
+
+  const lines = [];
+  for (const [id, name] of players) {
+    const before = draftLocationLabel(fromDraft, id);
+    const after = draftLocationLabel(toDraft, id);
+    if (before !== after) lines.push(`• ${name}: ${before} → ${after}`);
+  }
+  return lines;
+}
+
+// Swap two players anywhere in the draft. Returns { error: 'missing' | 'roles' } or the two players.
+function swapDraftPlayers(draft, aId, bId, force = false) {
+  const aLoc = findPlayerInDraft(draft, aId);
+  const bLoc = findPlayerInDraft(draft, bId);
+  if (!aLoc || !bLoc) return { error: 'missing' };
+
+  const getRef = (loc) => {
+    if (loc.where === 'bench') return { container: draft.bench, key: loc.bi, slotName: 'bench' };
+    return { container: draft.groups[loc.gi], key: loc.slot, slotName: loc.slot };
+  };
+
+  const aRef = getRef(aLoc);
+  const bRef = getRef(bLoc);
+
+  const aPlayer = aRef.container[aRef.key];
+  const bPlayer = bRef.container[bRef.key];
+
+  if (!force) {
+    const aOk = (bRef.slotName === 'bench') ? true : roleAllowedForSlot(aPlayer, bRef.slotName);
+    const bOk = (aRef.slotName === 'bench') ? true : roleAllowedForSlot(bPlayer, aRef.slotName);
+    if (!aOk || !bOk) return { error: 'roles' };
+  }
+
+  aRef.container[aRef.key] = bPlayer;
+  bRef.container[bRef.key] = aPlayer;
+  draft.edited = true;
+
+  return { aPlayer, bPlayer };
+}
+
+// Move one player to `target` ('bench' or 'g:<groupIndex>:tank|heal|dps'). Whoever held
+// the slot takes the mover's old place. Returns an error message or null.
+function moveDraftPlayer(draft, userId, target, force = false) {
+  const from = findPlayerInDraft(draft, userId);
+  if (!from) return 'That player is no longer in the draft.';
+
+  const player = from.where === 'bench' ? draft.bench[from.bi] : draft.groups[from.gi][from.slot];
+
+  if (target === 'bench') {
+    if (from.where === 'bench') return `${player.name} is already on the bench.`;
+    draft.groups[from.gi][from.slot] = null;
+    draft.bench.push(player);
+    draft.edited = true;
+    return null;
+  }
+
+  const [, giRaw, role] = target.split(':');
+  const gi = Number(giRaw);
+  const g = draft.groups[gi];
+  if (!g) return 'That group no longer exists.';
+
+  const roleSlots = draftGroupSlots(g).filter(s => slotRole(s) === slotRole(role));
+  if (!roleSlots.length) return 'That group has no such slot.';
+
+  let slot = roleSlots[0];
+  if (roleSlots.length > 1) {
+    if (from.where === 'group' && from.gi === gi && roleSlots.includes(from.slot)) {
+      return `${player.name} is already ${ROLE_LABELS[slotRole(role)]} in Group ${gi + 1}.`;
+    }
+    // Prefer an empty slot, then an occupant who can take the mover's old spot.
+    slot = roleSlots.find(s => !g[s]) ||
+      roleSlots.find(s => from.where === 'bench' || roleAllowedForSlot(g[s], from.slot)) ||
+      roleSlots[0];
+  }
+
+  if (from.where === 'group' && from.gi === gi && from.slot === slot) return `${player.name} is already in that slot.`;
+
+  const occupant = g[slot];
+  if (!force && !roleAllowedForSlot(player, slot)) {
+    return `${player.name} didn't sign up for that role. Turn on Force to move anyway.`;
+  }
+  if (!force && occupant && from.where === 'group' && !roleAllowedForSlot(occupant, from.slot)) {
+    return `${occupant.name} can't take ${player.name}'s old slot. Turn on Force to move anyway.`;
+  }
+
+  if (from.where === 'bench') {
+    draft.bench.splice(from.bi, 1);
+    if (occupant) draft.bench.push(occupant);
+  } else {
+    draft.groups[from.gi][from.slot] = occupant || null;
+  }
+  g[slot] = player;
+  draft.edited = true;
+
+  return null;
+}
+
+// Seat a bench player in an open slot their roles allow (their main role first), in group
+// `gi` when given. Returns { error } or where they landed.
+function pullFromBench(draft, userId, gi = null) {
+  const from = findPlayerInDraft(draft, userId);
+  if (!from) return { error: 'That player is not in the draft.' };
+  if (from.where !== 'bench') return { error: `${draft.groups[from.gi][from.slot].name} already has a seat in Group ${from.gi + 1}.` };
+  if (gi !== null && !draft.groups[gi]) return { error: 'That group does not exist.' };
+
+  const player = draft.bench[from.bi];
+  const groupIndexes = gi === null ? draft.groups.map((_, i) => i) : [gi];
+  const openSlots = groupIndexes.flatMap(i =>
+    draftGroupSlots(draft.groups[i])
+      .filter(slot => !draft.groups[i][slot] && roleAllowedForSlot(player, slot))
+      .map(slot => ({ gi: i, slot }))
+  );
+  const seat = openSlots.find(o => slotRole(o.slot) === player.mainRole) || openSlots[0];
+  if (!seat) {
+    return { error: `No open ${(player.roles || []).map(r => ROLE_LABELS[r]).join(' / ') || 'matching'} slot ${gi === null ? 'in any group' : `in Group ${gi + 1}`} for ${player.name}.` };
+  }
+
+  draft.bench.splice(from.bi, 1);
+  draft.groups[seat.gi][seat.slot] = player;
+  draft.edited = true;
+  return { player, ...seat };
+}
+
+// Move a standby signup onto the roster and the draft's bench, ready to be seated.
+function promoteStandby(session, draft, userId) {
+  const info = session.standby?.[userId];
+  if (!info) return null;
+  delete session.standby[userId];
+  session.signups[userId] = info;
+  const player = toDraftPlayer(signupPlayers({ [userId]: info })[0]);
+  draft.bench ||= [];
+  draft.bench.push(player);
+  return player;
+}
+
+// Best fit for one open slot: bench players first (they signed up in time), then the
+// standby list in join order; a main role or a picked class for the slot ranks higher.
+function bestReplacement(session, draft, slot) {
+  const role = slotRole(slot);
+  const bench = (draft.bench || [])
+    .filter(p => session.signups?.[p.id])
+    .map(player => ({ player, source: 'bench' }));
+  const standby = Object.entries(session.standby || {})
+    .sort(([, a], [, b]) => (a.joinedAt || 0) - (b.joinedAt || 0))
+    .map(([id, info]) => ({ player: toDraftPlayer(signupPlayers({ [id]: info })[0]), source: 'standby' }));
+  const fit = (c) => (c.player.mainRole === role ? 2 : 0) + (c.player.classes?.[role] ? 1 : 0);
+
+  return [...bench, ...standby]
+    .filter(c => roleAllowedForSlot(c.player, slot))
+    .sort((a, b) => fit(b) - fit(a))[0] || null;
+}
+
+// Take a player out of the roster after signups closed. A seat they held in the draft is
+// freed and, with `autoReplace`, given to the best replacement. Returns what happened.
+function withdrawSignup(session, userId, autoReplace) {
+  const name = session.signups[userId]?.displayName || userId;
+  delete session.signups[userId];
+
+  const draft = session.lastDraft;
+  const loc = draft ? findPlayerInDraft(draft, userId) : null;
+  if (!loc) return { name, changed: false };
+  if (loc.where === 'bench') {
+    draft.bench.splice(loc.bi, 1);
+    draft.edited = true;
+    return { name, changed: true, summary: `${name} left (bench)` };
+  }
+
+  const { gi, slot } = loc;
+  draft.groups[gi][slot] = null;
+  draft.edited = true;
+  const seat = `${ROLE_LABELS[slotRole(slot)]} seat in Group ${gi + 1}`;
+  const candidate = bestReplacement(session, draft, slot);
+  if (!candidate || !autoReplace) {
+    return { name, seat, gi, changed: true, summary: `${name} left Group ${gi + 1}`, suggestion: candidate };
+  }
+
+  if (candidate.source === 'standby') promoteStandby(session, draft, candidate.player.id);
+  const benchIndex = draft.bench.findIndex(p => p.id === candidate.player.id);
+  const [player] = draft.bench.splice(benchIndex, 1);
+  draft.groups[gi][slot] = player;
+  return { name, seat, gi, changed: true, summary: `${name} left; ${player.name} took their seat in Group ${gi + 1}`, replacement: player };
+}
+
+// Re-solve one group from its own members plus the bench, leaving every other group as is.
+function rerollDraftGroup(session, draft, gi) {
+  const pool = [...draftGroupMembers(draft.groups[gi]), ...(draft.bench || [])];
+  const signups = Object.fromEntries(
+    pool.filter(p => session.signups?.[p.id]).map(p => [p.id, session.signups[p.id]])
+  );
+
+  const result = rollGroups(signups, 1, 50, {
+    template: draftTemplate(draft),
+    keyBand: draft.keyBand,
+    ratingMode: draft.ratingMode,
+    dpsMix: draft.dpsMix ?? true,
+    constraints: draft.constraints
+  });
+  if (!result.groups.length) return result.reason || 'Not enough players to re-roll that group.';
+
+  const rolled = draftFromResult(result);
+  draft.groups[gi] = rolled.groups[0];
+  // Anyone who left the signups since the draft was made stays on the bench.
+  draft.bench = [...rolled.bench, ...pool.filter(p => !signups[p.id])];
+  draft.edited = true;
+  return null;
+}
+
+/* ----------------------------- publishing ----------------------------- */
+
+function describeSeat(player, role) {
+  const classId = player.classes?.[role];
+  const character = player.characters?.[role];
+  return `${ROLE_ICONS[role]} ${ROLE_LABELS[role]}${classId ? ` (${specClassLabel(classId, player.specs?.[role])})` : ''}${character ? ` on **${character}**` : ''}`;
+}
+
+async function openGroupThread(channel, session, g, gi) {
+  const thread = await channel.threads.create({
+    name: `${session.title || 'Mythic+ Night'} · Group ${gi + 1}`.slice(0, 100),
+    type: ChannelType.PrivateThread,
+    invitable: false,
+    reason: 'Mythic+ groups published'
+  });
+
+  const missing = [];
+  for (const { player } of draftGroupSeats(g)) {
+    try {
+      await thread.members.add(player.id);
+    } catch {
+      missing.push(player.name);
+    }
+  }
+  await thread.send({
+    content: `**Group ${gi + 1}**\n${draftGroupSeats(g).map(({ player, role }) => `${describeSeat(player, role)}: <@${player.id}>`).join('\n')}`,
+    allowedMentions: { parse: [] }
+  });
+  return { thread, missing };
+}
+
+// Check-in, attendance and the posted message all read lastDraft, so once it is published
+// only seat changes that also update the message (pull, leave) may touch it.
+const PUBLISHED_DRAFT_LOCKED = '📣 Groups for this session are already published, so the draft can no longer change. Seat standby players with `/mplus pull`, or `/mplus clear` to start over.';
+
+function checkInClosed(session) {
+  return !session.published?.checkInClosesAt || Date.now() >= session.published.checkInClosesAt;
+}
+
+function buildPublishedMessage(session, draft = session.lastDraft) {
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`mpluscheckin:${session.id}`)
+      .setLabel('Check in')
+      .setEmoji('✅')
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(checkInClosed(session))
+  );
+  // The latest seat change is noted on the message itself rather than posted separately.
+  const update = session.published?.update;
+  return {
+    content: `📣 **Groups posted!**${update ? `\n${update}` : ''}`,
+    embeds: [buildDraftEmbed(session, draft, 'Final Groups', { checkIn: true })],
+    components: [row],
+    allowedMentions: { parse: [] }
+  };
+}
+
+// Re-render the published groups after check-ins or officer changes.
+async function refreshPublishedMessage(session) {
+  if (!session.published?.messageId) return;
+  try {
+    const channel = await client.channels.fetch(session.published.channelId);
+    const msg = await channel.messages.fetch(session.published.messageId);
+    await msg.edit(buildPublishedMessage(session));
+  } catch {
+    // Message deleted or channel gone; state is still the source of truth.
+  }
+}
+
+// DMs each { player, content }; returns the names of players who could not be reached.
+async function sendDms(messages) {
+  const failed = [];
+  for (const { player, content } of messages) {
+    try {
+      const user = await client.users.fetch(player.id);
+      await user.send({ content });
+    } catch {
+      failed.push(player.name);
+    }
+  }
+  return failed;
+}
+
+// Posts the final groups, then optionally opens a private thread per group and DMs everyone
+// their seat (or standby). Returns report lines for whatever could not be done.
+// Check-in stays open `checkInMinutes` past the start time, or past publishing when no start is set.
+async function publishDraft(session, draft, channel, { threads = false, dms = false, checkInMinutes = DEFAULT_CONFIG.checkInMinutes } = {}) {
+  const now = Date.now();
+  session.published = {
+    at: now,
+    channelId: channel.id,
+    messageId: null,
+    threadIds: [],
+    checkInClosesAt: Math.max(now, session.startAt || 0) + checkInMinutes * 60_000
+  };
+  let message;
+  try {
+    message = await channel.send(buildPublishedMessage(session, draft));
+  } catch (err) {
+    session.published = null; // nothing was posted, so publishing can be retried
+    throw err;
+  }
+  session.published.messageId = message.id;
+  scheduleCheckInClose(channel.guildId, session);
+  await updateSignupMessage(session);
+
+  const report = [];
+  const threadIds = [];
+  if (threads) {
+    for (const [gi, g] of draft.groups.entries()) {
+      try {
+        const { thread, missing } = await openGroupThread(channel, session, g, gi);
+        threadIds[gi] = thread.id;
+        if (missing.length) report.push(`⚠️ Could not add ${missing.join(', ')} to the Group ${gi + 1} thread.`);
+      } catch (err) {
+        console.error('Could not open group thread:', err);
+        report.push(`⚠️ Could not open group threads here (${err.message}).`);
+        break;
+      }
+    }
+    session.published.threadIds = threadIds;
+    const opened = threadIds.filter(Boolean).length;
+    if (opened) report.unshift(`🧵 Opened ${opened} group thread${opened === 1 ? '' : 's'}.`);
+  }
+
+  if (dms) {
+    const title = session.title || 'Mythic+ Night';
+    const messages = [];
+    draft.groups.forEach((g, gi) => {
+      const seats = draftGroupSeats(g);
+      for (const { player, role } of seats) {
+        const others = seats.filter(s => s.player.id !== player.id).map(s => `${s.player.name} (${ROLE_LABELS[s.role]})`);
+        const lines = [`📣 Groups for **${title}** are up! You're in **Group ${gi + 1}** as ${describeSeat(player, role)}.`];
+        if (others.length) lines.push(`With: ${others.join(', ')}`);
+        if (threadIds[gi]) lines.push(`Group thread: <#${threadIds[gi]}>`);
+        messages.push({ player, content: lines.join('\n') });
+      }
+    });
+    // Players who left the signups since the draft was made are not pinged.
+    for (const player of (draft.bench || []).filter(p => session.signups?.[p.id])) {
+      messages.push({
+        player,
+        content: `🪑 Groups for **${title}** are up. You're on standby this time — an officer will reach out if a spot opens.`
+      });
+    }
+
+    const failed = await sendDms(messages);
+    const sent = messages.length - failed.length;
+    report.push(`✉️ DMed ${sent} player${sent === 1 ? '' : 's'}.`);
+    if (failed.length) report.push(`⚠️ Could not DM (DMs closed?): ${failed.join(', ')}`);
+  }
+
+  return report;
+}
+
+/* ----------------------------- attendance ----------------------------- */
+
+const ATTENDANCE_LABELS = { present: '✅ checked in', noshow: '❌ no-show', unconfirmed: '❔ never checked in', bench: '🪑 bench' };
+
+// userId -> { name, status } for one published session. Seated players only count as
+// unconfirmed once the check-in window has closed.
+function sessionAttendance(session) {
+  const result = new Map();
+  const draft = session.lastDraft;
+  if (!session.published || !draft) return result;
+
+  for (const [id, entry] of Object.entries(session.attendance || {})) {
+    result.set(id, { name: entry.name, status: entry.status });
+  }
+  const closed = checkInClosed(session);
+  for (const p of draft.groups.flatMap(draftGroupMembers)) {
+    if (!result.has(p.id) && closed) result.set(p.id, { name: p.name, status: 'unconfirmed' });
+  }
+  for (const p of draft.bench || []) {
+    if (!result.has(p.id) && session.signups?.[p.id]) result.set(p.id, { name: p.name, status: 'bench' });
+  }
+  return result;
+}
+
+function attendanceStats(guildState) {
+  const stats = new Map();
+  for (const session of listSessions(guildState)) {
+    for (const [id, { name, status }] of sessionAttendance(session)) {
+      const entry = stats.get(id) || { name, present: 0, noshow: 0, unconfirmed: 0, bench: 0 };
+      entry[status]++;
+      stats.set(id, entry);
+    }
+  }
+  return stats;
+}
+
+// Share of seated sessions the player actually checked in for, or null if never seated.
+function reliability(entry) {
+  const seated = entry.present + entry.noshow + entry.unconfirmed;
+  return seated ? Math.round((entry.present / seated) * 100) : null;
+}
+
+function buildAttendanceEmbed(guildState, userId = null) {
+  const published = listSessions(guildState).filter(s => s.published && s.lastDraft);
+  const embed = new EmbedBuilder()
+    .setColor(0x00BFFF)
+    .setFooter({ text: `Across the last ${published.length} published session${published.length === 1 ? '' : 's'} kept by the bot` });
+
+  if (userId) {
+    const entry = attendanceStats(guildState).get(userId);
+    const lines = published.flatMap(s => {
+      const a = sessionAttendance(s).get(userId);
+      return a ? [`• **${s.title || 'Untitled'}** <t:${Math.floor((s.published.at || s.createdAt) / 1000)}:d> — ${ATTENDANCE_LABELS[a.status]}`] : [];
+    });
+    const rate = entry ? reliability(entry) : null;
+    return embed
+      .setTitle(`📊 Attendance · ${entry?.name || 'Unknown player'}`)
+      .setDescription(lines.length
+        ? [`Reliability: **${rate === null ? '—' : `${rate}%`}**`, '', ...lines].join('\n').slice(0, 4096)
+        : 'No attendance recorded for this player yet.');
+  }
+
+  // Least reliable first, so officers see who to follow up with.
+  const rows = [...attendanceStats(guildState).values()].sort((a, b) =>
+    (reliability(a) ?? 101) - (reliability(b) ?? 101) || a.name.localeCompare(b.name)
+  );
+  const lines = rows.map(e => {
+    const rate = reliability(e);
+    return `• **${e.name}** — ✅ ${e.present} · ❌ ${e.noshow} · ❔ ${e.unconfirmed} · 🪑 ${e.bench}${rate === null ? '' : ` · ${rate}%`}`;
+  });
+  return embed
+    .setTitle('📊 Attendance')
+    .setDescription(lines.length ? lines.join('\n').slice(0, 4096) : 'No attendance recorded yet. It starts once groups are published.');
+}
+
+/* ----------------------------- export / import ----------------------------- */
+
+const MAX_IMPORT_BYTES = 1_000_000;
+const SIGNUP_CSV_COLUMNS = ['user_id', 'name', 'roles', 'main_role', 'tank_class', 'heal_class', 'dps_class', 'tank_spec', 'heal_spec', 'dps_spec', 'key_dungeon', 'key_level', 'rating'];
+const DRAFT_CSV_COLUMNS = ['group', 'role', 'user_id', 'name', 'class', 'spec', 'character'];
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  return [columns, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// RFC 4180-ish: quoted fields may hold commas, quotes ("") and line breaks.
+// Returns one object per data row keyed by the normalised header, plus its line number.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => { row.push(field); field = ''; };
+  const endRow = () => {
+    endField();
+    if (row.some(cell => cell.trim())) rows.push({ line: rowLine, cells: row });
+    row = [];
+    rowLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else { if (ch === '\n') line++; field += ch; }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      endField();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) endRow();
+
+  const [header, ...data] = rows;
+  if (!header) return [];
+  const keys = header.cells.map(h => h.trim().toLowerCase().replace(/\s+/g, '_'));
+  return data.map(({ line: rowNo, cells }) => ({
+    line: rowNo,
+    row: Object.fromEntries(keys.map((key, i) => [key, (cells[i] ?? '').trim()]))
+  }));
+}
+
+function fileSlug(session) {
+  return (session.title || 'session').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'session';
+}
+
+function signupCsvRows(session) {
+  return Object.entries(session.signups || {}).map(([userId, info]) => [
+    userId,
+    info.displayName || '',
+    (info.roles || []).join('|'),
+    info.mainRole || '',
+    info.classes?.TANK || '',
+    info.classes?.HEAL || '',
+    info.classes?.DPS || '',
+    info.specs?.TANK || '',
+    info.specs?.HEAL || '',
+    info.specs?.DPS || '',
+    info.keystone?.dungeon || '',
+    info.keystone?.level || '',
+    info.rating ?? ''
+  ]);
+}
+
+function draftCsvRows(draft) {
+  const rows = [];
+  draft.groups.forEach((g, gi) => {
+    for (const { player, role } of draftGroupSeats(g)) {
+      rows.push([gi + 1, role, player.id, player.name, getAssignedClass(player, role) || '', getAssignedSpec(player, role)?.id || '', player.characters?.[role] || '']);
+    }
+  });
+  for (const p of draft.bench || []) rows.push(['bench', '', p.id, p.name, '', '', '']);
+  return rows;
+}
+
+// { name, data } files for /mplus export: the whole session as JSON, signups and draft as CSV.
+function exportSessionFiles(session) {
+  const slug = fileSlug(session);
+  const json = {
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: {
+      id: session.id,
+      title: session.title,
+      description: session.description,
+      template: sessionTemplate(session),
+      lockAt: session.lockAt || null,
+      startAt: session.startAt || null,
+      createdAt: session.createdAt
+    },
+    signups: session.signups || {},
+    draft: session.lastDraft || null
+  };
+
+  const files = [
+    { name: `${slug}.json`, data: JSON.stringify(json, null, 2) },
+    { name: `${slug}-signups.csv`, data: toCsv(SIGNUP_CSV_COLUMNS, signupCsvRows(session)) }
+  ];
+  if (session.lastDraft) {
+    files.push({ name: `${slug}-draft.csv`, data: toCsv(DRAFT_CSV_COLUMNS, draftCsvRows(session.lastDraft)) });
+  }
+  return files;
+}
+
+function parseRoleKey(value) {
+  const v = String(value ?? '').trim().toUpperCase();
+  if (['TANK', 'T'].includes(v)) return 'TANK';
+  if (['HEAL', 'HEALER', 'H'].includes(v)) return 'HEAL';
+  if (['DPS', 'DAMAGE', 'D'].includes(v)) return 'DPS';
+  return null;
+}
+
+// Class ids ("DEATH_KNIGHT") or labels ("Death Knight"), any case.
+function parseClassId(value) {
+  const v = String(value ?? '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+  return WOW_CLASSES.find(c => c.id === v || c.label.toUpperCase().replace(/\s+/g, '_') === v)?.id || null;
+}
+
+// Spec ids ("PALADIN_HOLY") or labels ("Holy"), among the specs of `classId` for `role`.
+function parseSpecId(value, classId, role) {
+  const v = String(value ?? '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+  return specsFor(classId, role).find(s => s.id === v || s.label.toUpperCase().replace(/\s+/g, '_') === v)?.id || null;
+}
+
+function splitList(value) {
+  if (Array.isArray(value)) return value.map(String);
+  return String(value ?? '').split(/[|/;,\s]+/).filter(Boolean);
+}
+
+// Rows carry a Discord user id, or a name that matches someone already signed up.
+function importUserId(row, session) {
+  const id = String(row.user_id ?? '').trim();
+  if (/^\d{17,20}$/.test(id)) return id;
+  if (id) return null;
+
+  const name = String(row.name ?? '').trim().toLowerCase();
+  if (!name) return null;
+  return Object.entries(session.signups || {}).find(([, info]) => (info.displayName || '').toLowerCase() === name)?.[0] || null;
+}
+
+// One signup row -> { userId, info } or { error }.
+function parseSignupRow(row, session) {
+  const userId = importUserId(row, session);
+  if (!userId) {
+    return { error: row.user_id ? `"${row.user_id}" is not a Discord user id` : `no user_id and nobody named "${row.name || ''}" is signed up` };
+  }
+
+  const rawRoles = splitList(row.roles);
+  const roles = [...new Set(rawRoles.map(parseRoleKey))];
+  if (!rawRoles.length) return { error: 'no roles' };
+  const badRole = rawRoles.find(r => !parseRoleKey(r));
+  if (badRole) return { error: `unknown role "${badRole}"` };
+
+  const classes = { TANK: null, HEAL: null, DPS: null };
+  for (const role of ROLE_KEYS) {
+    const raw = String(row[`${SLOT_PREFIX[role]}_class`] ?? '').trim();
+    if (!raw) continue;
+    const classId = parseClassId(raw);
+    if (!classId) return { error: `unknown class "${raw}"` };
+    if (!ROLE_CLASSES[role].has(classId)) return { error: `${classLabel(classId)} can't be a ${ROLE_NOUNS[role]}` };
+    if (!roles.includes(role)) return { error: `${ROLE_NOUNS[role]} class given but not signed up as ${ROLE_NOUNS[role]}` };
+    classes[role] = classId;
+  }
+
+  const specs = { TANK: null, HEAL: null, DPS: null };
+  for (const role of ROLE_KEYS) {
+    const raw = String(row[`${SLOT_PREFIX[role]}_spec`] ?? '').trim();
+    if (!raw) continue;
+    if (!classes[role]) return { error: `${ROLE_NOUNS[role]} spec given without a ${ROLE_NOUNS[role]} class` };
+    const specId = parseSpecId(raw, classes[role], role);
+    if (!specId) return { error: `"${raw}" is not a ${classLabel(classes[role])} ${ROLE_NOUNS[role]} spec` };
+    specs[role] = specId;
+  }
+
+  let mainRole = null;
+  if (row.main_role) {
+    mainRole = parseRoleKey(row.main_role);
+    if (!mainRole || !roles.includes(mainRole)) return { error: `main role "${row.main_role}" is not one of the roles` };
+  }
+
+  let keystone = null;
+  if (row.key_dungeon || row.key_level) {
+    const level = Number(row.key_level);
+    if (!row.key_dungeon || !Number.isInteger(level) || level < 2 || level > 40) {
+      return { error: 'keystone needs key_dungeon and a key_level from 2 to 40' };
+    }
+    keystone = { dungeon: String(row.key_dungeon).trim().slice(0, 40), level };
+  }
+
+  let rating = null;
+  if (row.rating !== undefined && row.rating !== null && String(row.rating).trim()) {
+    rating = Number(row.rating);
+    if (!isValidRating(rating)) return { error: `rating must be a whole number from 0 to ${MAX_RATING}` };
+  }
+
+  const existing = session.signups?.[userId];
+  return {
+    userId,
+    info: {
+      ...existing,
+      roles,
+      mainRole,
+      classes,
+      specs,
+      keystone,
+      rating: Number.isFinite(rating) ? rating : null,
+      // Only JSON carries characters; a CSV row's roles replace any character picks.
+      characters: Array.isArray(row.characters) ? repairCharacters(row.characters, 'import', []) : [],
+      displayName: row.name ? String(row.name).slice(0, 80) : existing?.displayName || userId
+    }
+  };
+}
+
+// Exported JSON (signups keyed by user id, with `classes`) or a plain array of CSV-shaped rows.
+function signupRecordsFromJson(signups) {
+  const entries = Array.isArray(signups)
+    ? signups.map(row => [row?.user_id ?? row?.id, row])
+    : Object.entries(signups || {});
+
+  const fromSignup = (userId, info) => ({
+    user_id: userId,
+    name: info.displayName,
+    roles: info.roles,
+    main_role: info.mainRole,
+    tank_class: info.classes?.TANK,
+    heal_class: info.classes?.HEAL,
+    dps_class: info.classes?.DPS,
+    tank_spec: info.specs?.TANK,
+    heal_spec: info.specs?.HEAL,
+    dps_spec: info.specs?.DPS,
+    key_dungeon: info.keystone?.dungeon,
+    key_level: info.keystone?.level,
+    rating: info.rating,
+    characters: info.characters
+  });
+
+  return entries.map(([userId, info], i) => ({
+    line: i + 1,
+    row: isPlainObject(info?.classes) ? fromSignup(userId, info) : { ...info, user_id: userId }
+  }));
+}
+
+function draftRecordsFromJson(draft) {
+  if (Array.isArray(draft)) return draft.map((row, i) => ({ line: i + 1, row }));
+
+  const records = [];
+  (Array.isArray(draft?.groups) ? draft.groups : []).forEach((g, gi) => {
+    // Kept as a row without data, so importDraft reports it instead of tripping over it.
+    if (!isPlainObject(g)) {
+      records.push({ line: records.length + 1, row: null, error: `group ${gi + 1} is not a group of seats` });
+      return;
+    }
+    for (const { player, role } of draftGroupSeats(g)) {
+      if (!isPlainObject(player)) {
+        records.push({ line: records.length + 1, row: null, error: `group ${gi + 1} has an unreadable ${ROLE_NOUNS[role]} seat` });
+        continue;
+      }
+      records.push({ line: records.length + 1, row: { group: gi + 1, role, user_id: player.id, name: player.name } });
+    }
+  });
+  return records;
+}
+
+function importSignups(session, records) {
+  const rejected = [];
+  let imported = 0;
+
+  for (const { line, row } of records) {
+    const parsed = parseSignupRow(row, session);
+    if (parsed.error) {
+      rejected.push(`row ${line}: ${parsed.error}`);
+      continue;
+    }
+    session.signups[parsed.userId] = parsed.info;
+    imported++;
+  }
+
+  return { imported, rejected };
+}
+
+// Seats each row's player in the next free seat of that role in its group; everyone
+// signed up but not seated goes to the bench. Groups are numbered from 1 without gaps, so
+// skipped numbers shift the rest down. Returns { draft, rejected, renumbered }.
+function importDraft(session, records, constraints) {
+  const template = sessionTemplate(session);
+  const slots = templateSlots(template);
+  const players = new Map(signupPlayers(session.signups).map(p => [p.id, p]));
+  const groups = [];
+  const seated = new Set();
+  const rejected = [];
+
+  for (const { line, row, error } of records) {
+    const reject = (why) => rejected.push(`row ${line}: ${why}`);
+    if (!isPlainObject(row)) { reject(error || 'not a draft row'); continue; }
+    const group = String(row.group ?? '').trim().toLowerCase();
+    if (group === 'bench') continue;
+
+    const userId = importUserId(row, session);
+    const player = userId && players.get(userId);
+    if (!player) { reject(`${row.name || row.user_id || 'player'} is not signed up`); continue; }
+    if (seated.has(userId)) { reject(`${player.name} is listed twice`); continue; }
+
+    const gi = Number(group) - 1;
+    if (!Number.isInteger(gi) || gi < 0 || gi >= 50) { reject(`"${row.group}" is not a group number`); continue; }
+
+    const role = parseRoleKey(row.role);
+    if (!role) { reject(`unknown role "${row.role ?? ''}"`); continue; }
+    if (!player.roles.has(role)) { reject(`${player.name} didn't sign up as ${ROLE_NOUNS[role]}`); continue; }
+    if (row.class) {
+      const classId = parseClassId(row.class);
+      if (!classId || !ROLE_CLASSES[role].has(classId)) { reject(`"${row.class}" is not a ${ROLE_NOUNS[role]} class`); continue; }
+    }
+
+    groups[gi] ||= Object.fromEntries(slots.map(({ key }) => [key, null]));
+    const slot = slots.find(s => s.role === role && !groups[gi][s.key]);
+    if (!slot) { reject(`Group ${gi + 1} has no free ${ROLE_NOUNS[role]} seat`); continue; }
+
+    groups[gi][slot.key] = toDraftPlayer(player);
+    seated.add(userId);
+  }
+
+  // "3 → 2" for every group that moves to close a gap.
+  const renumbered = groups
+    .map((g, gi) => (g ? gi + 1 : null))
+    .filter(Boolean)
+    .flatMap((n, i) => (n === i + 1 ? [] : [`${n} → ${i + 1}`]));
+
+  const draft = {
+    createdAt: Date.now(),
+    template,
+    groups: groups.filter(Boolean),
+    bench: [...players.values()].filter(p => !seated.has(p.id)).map(toDraftPlayer),
+    notes: [],
+    keyBand: null,
+    constraints: relevantConstraints(constraints, session.signups)
+  };
+  return { draft, rejected, renumbered };
+}
+
+// Reads an uploaded JSON or CSV file into signup and/or draft rows.
+// CSV files with a `group` column are drafts; anything else is signups.
+function parseImportFile(name, text) {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+
+  if (name.toLowerCase().endsWith('.json') || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (err) {
+      return { error: `That JSON file could not be read: ${err.message}` };
+    }
+
+    if (Array.isArray(data)) {
+      const isDraft = data.some(row => isPlainObject(row) && 'group' in row);
+      return isDraft ? { draftRecords: draftRecordsFromJson(data) } : { signupRecords: signupRecordsFromJson(data) };
+    }
+    if (!isPlainObject(data) || (!data.signups && !data.draft)) {
+      return { error: 'Expected a `signups` and/or `draft` entry, as written by /mplus export.' };
+    }
+    return {
+      signupRecords: data.signups ? signupRecordsFromJson(data.signups) : null,
+      draftRecords: data.draft ? draftRecordsFromJson(data.draft) : null
+    };
+  }
+
+  const records = parseCsv(trimmed);
+  if (!records.length) return { error: 'That CSV file has no data rows.' };
+  return 'group' in records[0].row ? { draftRecords: records } : { signupRecords: records };
+}
+
+/* ----------------------------- discord setup ----------------------------- */
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const ON_LOCK_CHOICES = [
+  { name: 'Nothing (just lock)', value: 'none' },
+  { name: 'Roll a draft and DM it to me', value: 'dm' },
+  { name: 'Roll and publish groups', value: 'publish' }
+];
+
+const REMINDER_DELIVERY_CHOICES = [
+  { name: 'DM each player', value: 'dm' },
+  { name: 'Ping players in the signup channel', value: 'ping' }
+];
+
+const RATING_MODE_CHOICES = [
+  { name: 'Balance average rating across groups', value: 'balance' },
+  { name: 'Cluster similar ratings (push night)', value: 'cluster' },
+  { name: 'Ignore rating', value: 'none' }
+];
+
+const ACTIVITY_CHOICES = [
+  ...Object.values(ACTIVITY_TEMPLATES).map(t => ({ name: describeTemplate(t), value: t.id })),
+  { name: 'Custom (set tanks / healers / dps)', value: 'custom' }
+];
+
+// activity + custom seat counts, shared by /mplus create and /mplus schedule add.
+const addActivityOptions = (sc) => sc
+  .addStringOption(o => o.setName('activity').setDescription('Group layout (default Mythic+)').addChoices(...ACTIVITY_CHOICES))
+  .addIntegerOption(o => o.setName('tanks').setDescription('Custom: tanks per group').setMinValue(0).setMaxValue(MAX_GROUP_SIZE))
+  .addIntegerOption(o => o.setName('healers').setDescription('Custom: healers per group').setMinValue(0).setMaxValue(MAX_GROUP_SIZE))
+  .addIntegerOption(o => o.setName('dps').setDescription('Custom: DPS per group').setMinValue(0).setMaxValue(MAX_GROUP_SIZE));
+
+const sessionOption = (o) => o
+  .setName('session')
+  .setDescription('Session to act on (default: the selected one)')
+  .setAutocomplete(true);
+
+function ratingModeOption(options) {
+  const mode = options.getString('ratings');
+  return mode === 'balance' || mode === 'cluster' ? mode : null;
+}
+
+function classChoices(roleKey) {
+  return WOW_CLASSES
+    .filter(c => ROLE_CLASSES[roleKey].has(c.id))
+    .map(c => ({ name: c.label, value: c.id }));
+}
+
+const client = new Client({
+  intents: [GatewayIntentBits.Guilds],
+  partials: [Partials.Channel]
+});
+
+const commands = [
+  new SlashCommandBuilder()
+    .setName('mplus')
+    .setDescription('Mythic+ signup and group roller')
+    .addSubcommand(sc =>
+      addActivityOptions(sc.setName('create')
+        .setDescription('Create a new weekly signup session (fresh signups)')
+        .addStringOption(o => o.setName('title').setDescription('Title').setRequired(true))
+        .addStringOption(o => o.setName('description').setDescription('Optional description'))
+        .addIntegerOption(o => o.setName('lock_in_minutes').setDescription('Lock in X minutes from now (0 = no lock; default from /mplus-config)').setMinValue(0))
+        .addIntegerOption(o => o.setName('start_in_minutes').setDescription('Keys start in X minutes from now (after the lock)').setMinValue(1))
+        .addStringOption(o => o.setName('on_lock').setDescription('What to do when signups lock').addChoices(...ON_LOCK_CHOICES)))
     )
     .addSubcommand(sc =>
       sc.setName('preview')
         .setDescription('Preview groups privately (officer-only) and create an editable draft')
-        .addIntegerOption(o => o.setName('groups').setDescription('How many groups to try to form'))
-        .addIntegerOption(o => o.setName('attempts').setDescription('Solver attempts (default 200)'))
+        .addIntegerOption(o => o.setName('groups').setDescription('How many groups to try to form').setMinValue(1).setMaxValue(MAX_GROUPS))
+        .addIntegerOption(o => o.setName('attempts').setDescription('Shuffles tried to improve lust/brez/key coverage (default from /mplus-config)').setMinValue(1).setMaxValue(MAX_SOLVER_ATTEMPTS))
+        .addBooleanOption(o => o.setName('require_lust').setDescription('Only form groups that have Bloodlust'))
+        .addBooleanOption(o => o.setName('require_brez').setDescription('Only form groups that have a battle rez'))
+        .addIntegerOption(o => o.setName('key_min').setDescription('Lowest keystone level a group should run').setMinValue(2))
+        .addIntegerOption(o => o.setName('key_max').setDescription('Highest keystone level a group should run').setMinValue(2))
+        .addStringOption(o => o.setName('ratings').setDescription('How to use player ratings (default: ignore)').addChoices(...RATING_MODE_CHOICES))
+        .addBooleanOption(o => o.setName('dps_mix').setDescription('Prefer melee and ranged DPS in every group (default: on)'))
+        .addStringOption(o => o.setName('seed').setDescription('Replay a roll: the same seed, signups and options give the same groups').setMaxLength(32))
+        .addStringOption(sessionOption)
     )
     .addSubcommand(sc =>
       sc.setName('swap')
@@ -594,10 +3325,32 @@ const commands = [
         .addUserOption(o => o.setName('a').setDescription('First player').setRequired(true))
         .addUserOption(o => o.setName('b').setDescription('Second player').setRequired(true))
         .addBooleanOption(o => o.setName('force').setDescription('Allow swap even if roles don’t match slots'))
+        .addStringOption(sessionOption)
+    )
+    .addSubcommand(sc =>
+      sc.setName('undo')
+        .setDescription('Undo the last change to the current draft (officer-only)')
+        .addStringOption(sessionOption)
+    )
+    .addSubcommand(sc =>
+      sc.setName('redo')
+        .setDescription('Redo the last undone draft change (officer-only)')
+        .addStringOption(sessionOption)
+    )
+    .addSubcommand(sc =>
+      sc.setName('drafts')
+        .setDescription('List, restore or compare draft revisions (officer-only)')
+        .addIntegerOption(o => o.setName('restore').setDescription('Revision number to restore').setMinValue(1))
+        .addIntegerOption(o => o.setName('diff').setDescription('Show changes from this revision…').setMinValue(1))
+        .addIntegerOption(o => o.setName('against').setDescription('…to this revision (default: current)').setMinValue(1))
+        .addStringOption(sessionOption)
     )
     .addSubcommand(sc =>
       sc.setName('publish')
         .setDescription('Publish the current draft to the channel (officer-only)')
+        .addBooleanOption(o => o.setName('threads').setDescription('Open a private thread per group (default from /mplus-config)'))
+        .addBooleanOption(o => o.setName('dm_players').setDescription('DM players their group or standby (default from /mplus-config)'))
+        .addStringOption(sessionOption)
     )
     .addSubcommand(sc =>
       sc.setName('setlock')
@@ -607,23 +3360,261 @@ const commands = [
             .setDescription('Lock in X minutes from now (e.g., 60 = 1 hour)')
             .setRequired(true)
     )
+        .addStringOption(o => o.setName('on_lock').setDescription('What to do when signups lock').addChoices(...ON_LOCK_CHOICES))
+        .addStringOption(sessionOption)
  )
+    .addSubcommand(sc =>
+      sc.setName('setstart')
+        .setDescription('Set or change when the keys start for the current session (officer-only)')
+        .addIntegerOption(o =>
+          o.setName('minutes_from_now')
+            .setDescription('Start in X minutes from now (0 = clear)')
+            .setRequired(true)
+            .setMinValue(0)
+        )
+        .addStringOption(sessionOption)
+    )
     .addSubcommand(sc =>
       sc.setName('unlock')
        .setDescription('Remove the lock time for the current signup session (officer-only)')
+       .addStringOption(sessionOption)
     )
     .addSubcommand(sc =>
       sc.setName('roll')
         .setDescription('Roll groups and post immediately (officer-only)')
-        .addIntegerOption(o => o.setName('groups').setDescription('How many groups to try to form'))
-        .addIntegerOption(o => o.setName('attempts').setDescription('Solver attempts (default 200)'))
+        .addIntegerOption(o => o.setName('groups').setDescription('How many groups to try to form').setMinValue(1).setMaxValue(MAX_GROUPS))
+        .addIntegerOption(o => o.setName('attempts').setDescription('Shuffles tried to improve lust/brez/key coverage (default from /mplus-config)').setMinValue(1).setMaxValue(MAX_SOLVER_ATTEMPTS))
+        .addBooleanOption(o => o.setName('require_lust').setDescription('Only form groups that have Bloodlust'))
+        .addBooleanOption(o => o.setName('require_brez').setDescription('Only form groups that have a battle rez'))
+        .addIntegerOption(o => o.setName('key_min').setDescription('Lowest keystone level a group should run').setMinValue(2))
+        .addIntegerOption(o => o.setName('key_max').setDescription('Highest keystone level a group should run').setMinValue(2))
+        .addStringOption(o => o.setName('ratings').setDescription('How to use player ratings (default: ignore)').addChoices(...RATING_MODE_CHOICES))
+        .addBooleanOption(o => o.setName('dps_mix').setDescription('Prefer melee and ranged DPS in every group (default: on)'))
+        .addStringOption(o => o.setName('seed').setDescription('Replay a roll: the same seed, signups and options give the same groups').setMaxLength(32))
+        .addStringOption(sessionOption)
     )
     .addSubcommand(sc =>
       sc.setName('clear')
         .setDescription('Clear signups for the current session (officer-only)')
+        .addStringOption(sessionOption)
+    )
+    .addSubcommand(sc =>
+      sc.setName('list')
+        .setDescription('List signup sessions (officer-only)')
+    )
+    .addSubcommand(sc =>
+      sc.setName('rating')
+        .setDescription('Set a signed-up player\'s M+ rating (officer-only)')
+        .addUserOption(o => o.setName('player').setDescription('Player').setRequired(true))
+        .addIntegerOption(o => o.setName('rating').setDescription('M+ rating (leave out to clear)').setMinValue(0).setMaxValue(MAX_RATING))
+        .addStringOption(sessionOption)
+    )
+    .addSubcommand(sc =>
+      sc.setName('noshow')
+        .setDescription('Mark a seated player as a no-show and free their seat (officer-only)')
+        .addUserOption(o => o.setName('player').setDescription('Player who did not show').setRequired(true))
+        .addUserOption(o => o.setName('replacement').setDescription('Bench or standby player to seat in their group'))
+        .addStringOption(sessionOption)
+    )
+    .addSubcommand(sc =>
+      sc.setName('pull')
+        .setDescription('Seat a bench or standby player in an open slot of the published groups (officer-only)')
+        .addUserOption(o => o.setName('player').setDescription('Bench or standby player').setRequired(true))
+        .addIntegerOption(o => o.setName('group').setDescription('Group number (default: first open slot that fits)').setMinValue(1))
+        .addStringOption(sessionOption)
+    )
+    .addSubcommand(sc =>
+      sc.setName('attendance')
+        .setDescription('Check-ins and no-shows over recent sessions (officer-only)')
+        .addUserOption(o => o.setName('player').setDescription('Show one player session by session'))
+    )
+    .addSubcommand(sc =>
+      sc.setName('export')
+        .setDescription('Download signups and the draft as CSV and JSON (officer-only)')
+        .addStringOption(sessionOption)
+    )
+    .addSubcommand(sc =>
+      sc.setName('import')
+        .setDescription('Load signups or a draft from a JSON or CSV file (officer-only)')
+        .addAttachmentOption(o => o.setName('file').setDescription('JSON from /mplus export, or a signups / draft CSV').setRequired(true))
+        .addBooleanOption(o => o.setName('replace').setDescription('Replace all signups instead of adding to them'))
+        .addStringOption(sessionOption)
+    )
+    .addSubcommand(sc =>
+      sc.setName('select')
+        .setDescription('Choose the session commands act on by default (officer-only)')
+        .addStringOption(o => sessionOption(o).setDescription('Session to select').setRequired(true))
+    )
+    .addSubcommandGroup(g =>
+      g.setName('schedule')
+        .setDescription('Recurring weekly signup sessions (officer-only)')
+        .addSubcommand(sc =>
+          addActivityOptions(sc.setName('add')
+            .setDescription('Post a new signup session every week')
+            .addStringOption(o => o.setName('title').setDescription('Title').setRequired(true))
+            .addIntegerOption(o =>
+              o.setName('weekday')
+                .setDescription('Day to post the signup')
+                .setRequired(true)
+                .addChoices(...WEEKDAYS.map((name, value) => ({ name, value })))
+            )
+            .addStringOption(o => o.setName('time').setDescription('Time to post, 24h HH:MM').setRequired(true))
+            .addStringOption(o => o.setName('timezone').setDescription('IANA time zone, e.g. Europe/Berlin (default UTC)'))
+            .addChannelOption(o => o.setName('channel').setDescription('Channel to post in (default: signup channel from config, or here)').addChannelTypes(ChannelType.GuildText))
+            .addStringOption(o => o.setName('description').setDescription('Optional description'))
+            .addIntegerOption(o => o.setName('lock_after_minutes').setDescription('Lock signups X minutes after posting (default from /mplus-config)').setMinValue(1))
+            .addIntegerOption(o => o.setName('start_after_minutes').setDescription('Keys start X minutes after posting').setMinValue(1))
+            .addStringOption(o => o.setName('on_lock').setDescription('What to do when signups lock').addChoices(...ON_LOCK_CHOICES)))
+        )
+        .addSubcommand(sc =>
+          sc.setName('list')
+            .setDescription('List recurring sessions')
+        )
+        .addSubcommand(sc =>
+          sc.setName('remove')
+            .setDescription('Stop a recurring session')
+            .addStringOption(o => o.setName('id').setDescription('Schedule id from /mplus schedule list').setRequired(true))
+        )
+    )
+    .addSubcommandGroup(g =>
+      g.setName('pair')
+        .setDescription('Keep two players in the same group')
+        .addSubcommand(sc =>
+          sc.setName('add')
+            .setDescription('Keep two players together')
+            .addUserOption(o => o.setName('player').setDescription('Player').setRequired(true))
+            .addUserOption(o => o.setName('other').setDescription('Second player (default: you)'))
+            .addBooleanOption(o => o.setName('hard').setDescription('Weighted above lust, brez and keys, but not guaranteed (officer-only)'))
+        )
+        .addSubcommand(sc =>
+          sc.setName('remove')
+            .setDescription('Remove the constraint')
+            .addUserOption(o => o.setName('player').setDescription('Player').setRequired(true))
+            .addUserOption(o => o.setName('other').setDescription('Second player (default: you)'))
+        )
+        .addSubcommand(sc =>
+          sc.setName('list')
+            .setDescription('List constraints')
+        )
+    )
+    .addSubcommandGroup(g =>
+      g.setName('avoid')
+        .setDescription('Keep two players out of the same group')
+        .addSubcommand(sc =>
+          sc.setName('add')
+            .setDescription('Keep two players apart')
+            .addUserOption(o => o.setName('player').setDescription('Player').setRequired(true))
+            .addUserOption(o => o.setName('other').setDescription('Second player (default: you)'))
+            .addBooleanOption(o => o.setName('hard').setDescription('Weighted above lust, brez and keys, but not guaranteed (officer-only)'))
+        )
+        .addSubcommand(sc =>
+          sc.setName('remove')
+            .setDescription('Remove the constraint')
+            .addUserOption(o => o.setName('player').setDescription('Player').setRequired(true))
+            .addUserOption(o => o.setName('other').setDescription('Second player (default: you)'))
+        )
+        .addSubcommand(sc =>
+          sc.setName('list')
+            .setDescription('List constraints')
+        )
+    )
+    .addSubcommand(sc =>
+      sc.setName('profile')
+        .setDescription('View or edit your saved signup profile')
+        .addBooleanOption(o => o.setName('tank').setDescription('Sign up as tank by default'))
+        .addBooleanOption(o => o.setName('heal').setDescription('Sign up as healer by default'))
+        .addBooleanOption(o => o.setName('dps').setDescription('Sign up as DPS by default'))
+        .addStringOption(o =>
+          o.setName('main_role')
+            .setDescription('Your main role (the others are fill)')
+            .addChoices(
+              { name: 'Tank', value: 'TANK' },
+              { name: 'Healer', value: 'HEAL' },
+              { name: 'DPS', value: 'DPS' },
+              { name: 'No preference', value: 'NONE' }
+            )
+        )
+        .addStringOption(o => o.setName('tank_class').setDescription('Tank class').addChoices(...classChoices('TANK')))
+        .addStringOption(o => o.setName('heal_class').setDescription('Healer class').addChoices(...classChoices('HEAL')))
+        .addStringOption(o => o.setName('dps_class').setDescription('DPS class').addChoices(...classChoices('DPS')))
+        .addIntegerOption(o => o.setName('rating').setDescription('Your M+ rating').setMinValue(0).setMaxValue(MAX_RATING))
+        .addBooleanOption(o => o.setName('clear_rating').setDescription('Remove your M+ rating'))
+        .addStringOption(o => o.setName('notes').setDescription('Notes for officers (use "-" to clear)').setMaxLength(200))
+    ),
+  new SlashCommandBuilder()
+    .setName('character')
+    .setDescription('Your characters (alts) to sign up with')
+    .addSubcommand(sc =>
+      sc.setName('add')
+        .setDescription('Add or update a character')
+        .addStringOption(o => o.setName('name').setDescription('Character name, e.g. Treehugger-Silvermoon').setRequired(true).setMaxLength(40))
+        .addStringOption(o => o.setName('class').setDescription('Class').setRequired(true).addChoices(...WOW_CLASSES.map(c => ({ name: c.label, value: c.id }))))
+        .addBooleanOption(o => o.setName('tank').setDescription('Plays tank (default: every role the class can)'))
+        .addBooleanOption(o => o.setName('heal').setDescription('Plays healer'))
+        .addBooleanOption(o => o.setName('dps').setDescription('Plays DPS'))
+        .addStringOption(o => o.setName('tank_spec').setDescription('Tank spec (implies tank)').setAutocomplete(true))
+        .addStringOption(o => o.setName('heal_spec').setDescription('Healer spec (implies healer)').setAutocomplete(true))
+        .addStringOption(o => o.setName('dps_spec').setDescription('DPS spec (implies DPS)').setAutocomplete(true))
+        .addIntegerOption(o => o.setName('rating').setDescription("This character's M+ rating").setMinValue(0).setMaxValue(MAX_RATING))
+    )
+    .addSubcommand(sc =>
+      sc.setName('remove')
+        .setDescription('Remove a character')
+        .addStringOption(o => o.setName('name').setDescription('Character name').setRequired(true).setAutocomplete(true))
+    )
+    .addSubcommand(sc =>
+      sc.setName('list')
+        .setDescription('Show your characters')
+    ),
+  new SlashCommandBuilder()
+    .setName('mplus-config')
+    .setDescription('Bot settings for this server')
+    .addSubcommand(sc =>
+      sc.setName('show')
+        .setDescription('Show the current settings')
+    )
+    .addSubcommand(sc =>
+      sc.setName('set')
+        .setDescription('Change settings (Manage Server)')
+        .addRoleOption(o => o.setName('add_officer_role').setDescription('Give this role officer access'))
+        .addRoleOption(o => o.setName('remove_officer_role').setDescription('Take officer access away from this role'))
+        .addChannelOption(o => o.setName('signup_channel').setDescription('Default channel for new signups').addChannelTypes(ChannelType.GuildText))
+        .addBooleanOption(o => o.setName('clear_signup_channel').setDescription('Post new signups where the command is run'))
+        .addIntegerOption(o => o.setName('lock_minutes').setDescription('Default lock X minutes after posting (0 = no lock)').setMinValue(0))
+        .addIntegerOption(o => o.setName('attempts').setDescription('Default solver attempts').setMinValue(1).setMaxValue(MAX_SOLVER_ATTEMPTS))
+        .addBooleanOption(o => o.setName('public_read_only').setDescription('Let everyone use read-only commands (list, schedule list, drafts)'))
+        .addBooleanOption(o => o.setName('publish_threads').setDescription('Open a private thread per group when publishing'))
+        .addBooleanOption(o => o.setName('publish_dms').setDescription('DM players their group (or standby) when publishing'))
+        .addIntegerOption(o => o.setName('lock_reminder_minutes').setDescription('Remind players with unfinished signups X min before lock (0 = off)').setMinValue(0).setMaxValue(10080))
+        .addIntegerOption(o => o.setName('start_reminder_minutes').setDescription('Remind players of their group X min before start (0 = off)').setMinValue(0).setMaxValue(10080))
+        .addStringOption(o => o.setName('reminder_delivery').setDescription('How reminders reach players').addChoices(...REMINDER_DELIVERY_CHOICES))
+        .addBooleanOption(o => o.setName('auto_replace').setDescription('Seat the best replacement when a seated player leaves (instead of suggesting one)'))
+        .addIntegerOption(o => o.setName('check_in_minutes').setDescription('Check-in stays open X min after the start (or after publishing)').setMinValue(1).setMaxValue(1440))
+    )
+    .addSubcommand(sc =>
+      sc.setName('reset')
+        .setDescription('Restore the default settings (Manage Server)')
     )
 ].map(c => c.toJSON());
 
+// Discord rejects a command whose names, descriptions and choices add up to more than
+// 8000 characters. Registration runs before login, so fail here, with room to spare.
+const COMMAND_TEXT_LIMIT = 8000;
+const COMMAND_TEXT_HEADROOM = 500;
+
+function commandTextLength(option) {
+  return option.name.length + (option.description?.length || 0) +
+    (option.choices || []).reduce((sum, c) => sum + c.name.length + String(c.value).length, 0) +
+    (option.options || []).reduce((sum, o) => sum + commandTextLength(o), 0);
+}
+
+for (const command of commands) {
+  const length = commandTextLength(command);
+  if (length > COMMAND_TEXT_LIMIT - COMMAND_TEXT_HEADROOM) {
+    throw new Error(`/${command.name} is ${length} characters, close to Discord's ${COMMAND_TEXT_LIMIT}: shorten descriptions or move subcommands to another command.`);
+  }
+}
+
 async function registerCommands() {
   const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
   await rest.put(
@@ -632,194 +3623,1363 @@ async function registerCommands() {
   );
 }
 
+// Create a fresh session, make it the guild's current one and post its signup message.
+async function postSignupSession(guildState, guildId, channel, { title, description = '', template = DEFAULT_TEMPLATE, lockAt = null, startAt = null, onLock = 'none', createdBy = null, scheduleId = null }) {
+  const newSessionId = `s-${guildId}-${Date.now()}`;
+  const session = {
+    id: newSessionId,
+    title,
+    description,
+    template: { ...template, slots: { ...template.slots } },
+    lockAt,
+    startAt,
+    onLock,
+    lockSetBy: createdBy,
+    lockHandledAt: null,
+    scheduleId,
+    signups: {},
+    messageId: null,
+    channelId: null,
+    createdAt: Date.now(),
+    lastDraft: null
+  };
+
+  guildState.sessions[newSessionId] = session;
+  guildState.currentSessionId = newSessionId;
+
+  pruneOldSessions(guildState, 12);
+  planReminders(session, getGuildConfig(guildState));
+
+  const msg = await channel.send({ embeds: [buildSignupEmbed(session)], components: buildComponents(session.id) });
+  session.messageId = msg.id;
+  session.channelId = channel.id;
+
+  return session;
+}
+
+/* ----------------------------- lock scheduler ----------------------------- */
+
+const MAX_TIMEOUT_MS = 2_147_483_647; // setTimeout overflows past ~24.8 days
+const lockTimers = new Map(); // sessionId -> timeout
+
+// setTimeout that can wait longer than MAX_TIMEOUT_MS, tracked in `timers` under `key`.
+function armTimer(timers, key, at, fn) {
+  clearTimeout(timers.get(key));
+
+  const delay = at - Date.now();
+  const timer = delay > MAX_TIMEOUT_MS
+    ? setTimeout(() => armTimer(timers, key, at, fn), MAX_TIMEOUT_MS)
+    : setTimeout(() => {
+        timers.delete(key);
+        fn();
+      }, Math.max(0, delay));
+
+  timers.set(key, timer);
+}
+
+async function updateSignupMessage(session) {
+  try {
+    const channel = await client.channels.fetch(session.channelId);
+    const msg = await channel.messages.fetch(session.messageId);
+    await msg.edit({
+      embeds: [buildSignupEmbed(session)],
+      components: buildComponents(session.id)
+    });
+  } catch {
+    // Message deleted or channel gone; state is still the source of truth.
+  }
+}
+
+function cancelLock(sessionId) {
+  clearTimeout(lockTimers.get(sessionId));
+  lockTimers.delete(sessionId);
+}
+
+function scheduleLock(guildId, session) {
+  cancelLock(session.id);
+  if (!session.lockAt || session.lockHandledAt) return;
+
+  armTimer(lockTimers, session.id, session.lockAt, () => {
+    onSessionLocked(guildId, session.id).catch(err => console.error('Lock handler failed:', err));
+  });
+}
+
+// Runs once per lock: disables the signup message and, if asked, rolls a draft
+// for the officer who set the lock or publishes it straight away.
+async function onSessionLocked(guildId, sessionId) {
+  const state = loadState();
+  const guildState = ensureGuildState(state, guildId);
+  const session = getSessionById(guildState, sessionId);
+  if (!session || !isSessionLocked(session) || session.lockHandledAt) return;
+
+  session.lockHandledAt = Date.now();
+  saveState(state);
+
+  await updateSignupMessage(session);
+
+  const onLock = session.onLock || 'none';
+  if (onLock === 'none' || session.published) return;
+
+  const result = rollGroups(session.signups, null, getGuildConfig(guildState).solverAttempts, {
+    template: sessionTemplate(session),
+    history: benchHistory(guildState, session),
+    constraints: guildState.constraints
+  });
+  if (result.groups.length) {
+    commitDraft(session, draftFromResult(result), null, 'Auto-draft at lock');
+    saveState(state);
+  }
+
+  if (onLock === 'publish' && result.groups.length) {
+    const config = getGuildConfig(guildState);
+    const channel = await client.channels.fetch(session.channelId);
+    const report = await publishDraft(session, session.lastDraft, channel, { threads: config.publishThreads, dms: config.publishDms, checkInMinutes: config.checkInMinutes });
+    saveState(state);
+
+    const problems = report.filter(line => line.startsWith('⚠️'));
+    if (!problems.length || !session.lockSetBy) return;
+    try {
+      const officer = await client.users.fetch(session.lockSetBy);
+      await officer.send({ content: `📣 Groups for **${session.title || 'Mythic+'}** were auto-published.\n${problems.join('\n')}` });
+    } catch (err) {
+      console.error('Could not DM publish report:', err);
+    }
+    return;
+  }
+
+  if (!session.lockSetBy) return;
+  try {
+    const officer = await client.users.fetch(session.lockSetBy);
+    await officer.send(result.groups.length
+      ? {
+          content: `🔒 Signups for **${session.title || 'Mythic+'}** are locked. Draft ready — use /mplus swap then /mplus publish.`,
+          embeds: [buildDraftEmbed(session, session.lastDraft, 'Preview Draft')]
+        }
+      : { content: `🔒 Signups for **${session.title || 'Mythic+'}** are locked, but no groups could be formed.\n${result.reason}` });
+  } catch (err) {
+    console.error('Could not DM lock draft:', err);
+  }
+}
+
+/* ----------------------------- reminders ----------------------------- */
+
+// When each reminder kind fires: its offset (from guild config) before the session time.
+const REMINDER_KINDS = {
+  lock: { time: session => session.lockAt, offset: config => config.lockReminderMinutes },
+  start: { time: session => session.startAt, offset: config => config.startReminderMinutes }
+};
+const reminderTimers = new Map(); // `${sessionId}:${kind}` -> timeout
+
+// Recompute the reminder jobs stored on the session after its lock or start time changed.
+// A job that already went out for the same time is kept, so nobody is reminded twice.
+function planReminders(session, config) {
+  const jobs = {};
+  for (const [kind, { time, offset }] of Object.entries(REMINDER_KINDS)) {
+    if (!time(session) || !offset(config)) continue;
+    const at = time(session) - offset(config) * 60_000;
+    const prev = session.reminders?.[kind];
+    if (prev?.at === at) jobs[kind] = prev;
+    else if (at > Date.now()) jobs[kind] = { at, sentAt: null };
+  }
+  session.reminders = jobs;
+}
+
+function cancelReminders(sessionId) {
+  for (const kind of Object.keys(REMINDER_KINDS)) {
+    const key = `${sessionId}:${kind}`;
+    clearTimeout(reminderTimers.get(key));
+    reminderTimers.delete(key);
+  }
+}
+
+function scheduleReminders(guildId, session) {
+  cancelReminders(session.id);
+  for (const [kind, job] of Object.entries(session.reminders || {})) {
+    if (!REMINDER_KINDS[kind] || job?.sentAt || !Number.isFinite(job?.at)) continue;
+    armTimer(reminderTimers, `${session.id}:${kind}`, job.at, () => {
+      sendReminder(guildId, session.id, kind).catch(err => console.error('Reminder failed:', err));
+    });
+  }
+}
+
+function signupGap(info) {
+  const roles = info.roles || [];
+  if (!roles.length) return "you haven't picked a role";
+  const unset = roles.filter(role => !info.classes?.[role]);
+  return unset.length ? `you haven't picked a class for ${unset.map(role => ROLE_LABELS[role]).join(' / ')}` : null;
+}
+
+// Only players whose signup is unfinished hear about the lock.
+function lockReminders(session) {
+  const when = `<t:${Math.floor(session.lockAt / 1000)}:R>`;
+  return Object.entries(session.signups || {}).flatMap(([id, info]) => {
+    const gap = signupGap(info);
+    return gap
+      ? [{ player: { id, name: info.displayName || id }, content: `⏳ Signups for **${session.title || 'Mythic+'}** close ${when}, and ${gap} yet.` }]
+      : [];
+  });
+}
+
+// Once groups are published everyone hears their seat; before that, just the start time.
+function startReminders(session) {
+  const title = session.title || 'Mythic+';
+  const when = `<t:${Math.floor(session.startAt / 1000)}:R>`;
+  const draft = session.published ? session.lastDraft : null;
+  if (!draft) {
+    return Object.entries(session.signups || {}).map(([id, info]) => ({
+      player: { id, name: info.displayName || id },
+      content: `⏰ **${title}** starts ${when}.`
+    }));
+  }
+
+  const seated = draft.groups.flatMap((g, gi) => draftGroupSeats(g).map(({ player, role }) => ({
+    player,
+    content: `⏰ **${title}** starts ${when}. You're in **Group ${gi + 1}** as ${describeSeat(player, role)}.`
+  })));
+  const standby = (draft.bench || []).filter(p => session.signups?.[p.id]).map(player => ({
+    player,
+    content: `⏰ **${title}** starts ${when}. You're on standby, so stay close in case a spot opens.`
+  }));
+  return [...seated, ...standby];
+}
+
+async function sendReminder(guildId, sessionId, kind) {
+  const state = loadState();
+  const guildState = ensureGuildState(state, guildId);
+  const session = getSessionById(guildState, sessionId);
+  const job = session?.reminders?.[kind];
+  if (!job || job.sentAt) return;
+
+  job.sentAt = Date.now();
+  saveState(state);
+
+  // Nothing to remind about once the moment has passed (e.g. the bot was offline), or the lock came early.
+  const time = REMINDER_KINDS[kind].time(session);
+  if (!time || time <= Date.now() || (kind === 'lock' && isSessionLocked(session))) return;
+
+  const messages = kind === 'lock' ? lockReminders(session) : startReminders(session);
+  if (!messages.length) return;
+
+  if (getGuildConfig(guildState).reminderDelivery === 'ping') {
+    const channel = await client.channels.fetch(session.channelId);
+    for (const content of chunkLines(messages.map(m => `<@${m.player.id}> ${m.content}`), 2000)) {
+      await channel.send({ content, allowedMentions: { parse: ['users'] } });
+    }
+    return;
+  }
+
+  const failed = await sendDms(messages);
+  if (failed.length) console.error(`Could not DM ${kind} reminder to: ${failed.join(', ')}`);
+}
+
+const checkInTimers = new Map(); // sessionId -> timeout
+
+// The check-in button is disabled by re-rendering the published message when the window ends.
+function scheduleCheckInClose(guildId, session) {
+  const published = session.published;
+  if (!published?.checkInClosesAt || published.checkInClosedShown) return;
+  armTimer(checkInTimers, session.id, published.checkInClosesAt, () => {
+    onCheckInClosed(guildId, session.id).catch(err => console.error('Check-in close failed:', err));
+  });
+}
+
+async function onCheckInClosed(guildId, sessionId) {
+  const state = loadState();
+  const session = getSessionById(ensureGuildState(state, guildId), sessionId);
+  if (!session?.published || !checkInClosed(session)) return;
+  session.published.checkInClosedShown = true;
+  saveState(state);
+  await refreshPublishedMessage(session);
+}
+
+// Timers live in memory only; rebuild them from state after a restart and catch up
+// on any lock or check-in that passed while the bot was offline.
+function restoreLockTimers() {
+  const state = loadState();
+  for (const [guildId, guildState] of Object.entries(state.guilds || {})) {
+    for (const session of Object.values(guildState.sessions || {})) {
+      if (session.lockAt && !session.lockHandledAt) scheduleLock(guildId, session);
+      scheduleReminders(guildId, session);
+      scheduleCheckInClose(guildId, session);
+    }
+  }
+}
+
+/* ----------------------------- recurring sessions ----------------------------- */
+
+const scheduleTimers = new Map(); // `${guildId}:${scheduleId}` -> timeout
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// How far `timeZone`'s wall clock is ahead of UTC at `ts`, in ms.
+function timeZoneOffsetMs(ts, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(ts)).map(p => [p.type, p.value])
+  );
+  const wallClock = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return wallClock - (ts - (ts % 1000));
+}
+
+// Next time after `from` that it is `schedule.weekday` at `schedule.time` in `schedule.timezone`.
+function nextWeeklyRun(schedule, from = Date.now()) {
+  const [hour, minute] = schedule.time.split(':').map(Number);
+  const today = new Date(from + timeZoneOffsetMs(from, schedule.timezone));
+
+  for (let i = 0; i <= 7; i++) {
+    const wall = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + i, hour, minute);
+    if (new Date(wall).getUTCDay() !== schedule.weekday) continue;
+
+    // Convert the wall-clock time back to UTC; the second pass settles DST changes.
+    let ts = wall - timeZoneOffsetMs(wall, schedule.timezone);
+    ts = wall - timeZoneOffsetMs(ts, schedule.timezone);
+    if (ts > from) return ts;
+  }
+  return null;
+}
+
+function describeSchedule(schedule) {
+  const lock = schedule.lockAfterMinutes ? ` · locks after ${schedule.lockAfterMinutes} min` : '';
+  const start = schedule.startAfterMinutes ? ` · starts after ${schedule.startAfterMinutes} min` : '';
+  return (
+    `**${schedule.id}** — ${schedule.title} · ${describeTemplate(schedule.template || DEFAULT_TEMPLATE)}\n` +
+    `Every ${WEEKDAYS[schedule.weekday]} ${schedule.time} (${schedule.timezone}) in <#${schedule.channelId}>${lock}${start}\n` +
+    `Next: ${schedule.nextRunAt ? `<t:${Math.floor(schedule.nextRunAt / 1000)}:F>` : '—'}`
+  );
+}
+
+function scheduleRecurring(guildId, schedule) {
+  armTimer(scheduleTimers, `${guildId}:${schedule.id}`, schedule.nextRunAt, () => {
+    runScheduledSession(guildId, schedule.id).catch(err => console.error('Scheduled session failed:', err));
+  });
+}
+
+function cancelRecurring(guildId, scheduleId) {
+  const key = `${guildId}:${scheduleId}`;
+  clearTimeout(scheduleTimers.get(key));
+  scheduleTimers.delete(key);
+}
+
+async function runScheduledSession(guildId, scheduleId) {
+  const state = loadState();
+  const guildState = ensureGuildState(state, guildId);
+  const schedule = guildState.schedules?.[scheduleId];
+  if (!schedule) return;
+
+  let session = null;
+  try {
+    const channel = await client.channels.fetch(schedule.channelId);
+    session = await postSignupSession(guildState, guildId, channel, {
+      title: schedule.title,
+      description: schedule.description,
+      template: schedule.template || DEFAULT_TEMPLATE,
+      lockAt: schedule.lockAfterMinutes ? Date.now() + schedule.lockAfterMinutes * 60_000 : null,
+      startAt: schedule.startAfterMinutes ? Date.now() + schedule.startAfterMinutes * 60_000 : null,
+      onLock: schedule.onLock,
+      createdBy: schedule.createdBy,
+      scheduleId: schedule.id
+    });
+  } catch (err) {
+    console.error(`Could not post scheduled session ${scheduleId}:`, err);
+  }
+
+  schedule.lastRunAt = Date.now();
+  schedule.nextRunAt = nextWeeklyRun(schedule);
+  saveState(state);
+
+  if (session) {
+    scheduleLock(guildId, session);
+    scheduleReminders(guildId, session);
+  }
+  scheduleRecurring(guildId, schedule);
+}
+
+// Re-arm every template after a restart. A run missed while offline is posted once now.
+function restoreScheduleTimers() {
+  const state = loadState();
+  for (const [guildId, guildState] of Object.entries(state.guilds || {})) {
+    for (const schedule of Object.values(guildState.schedules || {})) {
+      if (schedule.nextRunAt && schedule.nextRunAt <= Date.now()) {
+        runScheduledSession(guildId, schedule.id).catch(err => console.error('Scheduled session failed:', err));
+      } else {
+        scheduleRecurring(guildId, schedule);
+      }
+    }
+  }
+}
+
 client.once('clientReady', () => {
   console.log(`Logged in as ${client.user.tag}`);
+  restoreLockTimers();
+  restoreScheduleTimers();
 });
 
-client.on('interactionCreate', async (interaction) => {
-  const state = loadState();
-  const guildId = interaction.guildId;
-  const guildState = ensureGuildState(state, guildId);
+async function handleInteraction(interaction) {
+  const state = loadState();
+  const guildId = interaction.guildId;
+  const guildState = ensureGuildState(state, guildId);
+
+  /* ----------------------------- autocomplete ----------------------------- */
+  if (interaction.isAutocomplete()) {
+    const focused = interaction.options.getFocused(true);
+    if (focused.name === 'name') {
+      const query = focused.value.toLowerCase();
+      const characters = getProfile(guildState, interaction.user.id)?.characters || [];
+      await interaction.respond(characters
+        .filter(c => c.name.toLowerCase().includes(query))
+        .slice(0, 25)
+        .map(c => ({ name: c.name, value: c.name })));
+      return;
+    }
+    if (focused.name.endsWith('_spec')) {
+      const role = ROLE_KEYS.find(r => `${SLOT_PREFIX[r]}_spec` === focused.name);
+      const query = focused.value.toLowerCase();
+      await interaction.respond(specsFor(interaction.options.getString('class'), role)
+        .filter(s => s.label.toLowerCase().includes(query))
+        .map(s => ({ name: s.label, value: s.id })));
+      return;
+    }
+    if (focused.name === 'session') {
+      // Session titles are only offered to members allowed to run the command being typed.
+      const group = interaction.options.getSubcommandGroup(false);
+      const sub = interaction.options.getSubcommand();
+      const readOnly = getGuildConfig(guildState).publicReadOnly && isReadOnlyCommand(group, sub, interaction.options);
+      const allowed = readOnly || isOfficer(interaction.member, guildState);
+      await interaction.respond(allowed ? sessionChoices(guildState, focused.value) : []);
+      return;
+    }
+    await interaction.respond([]);
+    return;
+  }
+
+  /* ----------------------------- characters ----------------------------- */
+  if (interaction.isChatInputCommand() && interaction.commandName === 'character') {
+    const sub = interaction.options.getSubcommand();
+    const userId = interaction.user.id;
+    const displayName = interaction.member?.displayName || interaction.user.username;
+
+    if (sub !== 'list') {
+      if (!guildState.profiles[userId]) rememberProfile(guildState, userId, { roles: [] });
+      const profile = guildState.profiles[userId];
+      const name = interaction.options.getString('name').trim();
+      if (!name) {
+        await interaction.reply({ content: "Character names can't be blank.", ephemeral: true });
+        return;
+      }
+      const index = profile.characters.findIndex(c => c.name.toLowerCase() === name.toLowerCase());
+
+      if (sub === 'remove') {
+        if (index === -1) {
+          await interaction.reply({ content: `You have no character called **${name}**.`, ephemeral: true });
+          return;
+        }
+        profile.characters.splice(index, 1);
+      } else {
+        const classId = interaction.options.getString('class');
+        const specs = { TANK: null, HEAL: null, DPS: null };
+        for (const role of ROLE_KEYS) {
+          const raw = interaction.options.getString(`${SLOT_PREFIX[role]}_spec`);
+          if (!raw) continue;
+          specs[role] = parseSpecId(raw, classId, role);
+          if (!specs[role]) {
+            await interaction.reply({ content: `"${raw}" is not a ${classLabel(classId)} ${ROLE_NOUNS[role]} spec.`, ephemeral: true });
+            return;
+          }
+        }
+        const picked = ROLE_KEYS.filter(role => interaction.options.getBoolean(SLOT_PREFIX[role]) || specs[role]);
+        const roles = picked.length ? picked : ROLE_KEYS.filter(role => ROLE_CLASSES[role].has(classId));
+        const badRole = roles.find(role => !ROLE_CLASSES[role].has(classId));
+        if (badRole) {
+          await interaction.reply({ content: `${classLabel(classId)} can't be a ${ROLE_NOUNS[badRole]}.`, ephemeral: true });
+          return;
+        }
+        // A class with one spec for a role needs no pick.
+        for (const role of roles) {
+          const options = specsFor(classId, role);
+          if (!specs[role] && options.length === 1) specs[role] = options[0].id;
+        }
+        if (index === -1 && profile.characters.length >= MAX_CHARACTERS) {
+          await interaction.reply({ content: `You can save up to ${MAX_CHARACTERS} characters. Remove one first.`, ephemeral: true });
+          return;
+        }
+        // Updating a character without a rating keeps the one it had.
+        const rating = interaction.options.getInteger('rating') ?? profile.characters[index]?.rating ?? null;
+        const character = { name, classId, roles, specs, rating };
+        if (index === -1) profile.characters.push(character);
+        else profile.characters[index] = character;
+      }
+      saveState(state);
+    }
+
+    await interaction.reply({
+      content: sub === 'list' ? 'Your characters:' : `Character ${sub === 'remove' ? 'removed' : 'saved'}. Signups you already made keep their picks.`,
+      embeds: [buildProfileEmbed(getProfile(guildState, userId) || { roles: [] }, displayName)],
+      ephemeral: true
+    });
+    return;
+  }
+
+  /* ----------------------------- settings ----------------------------- */
+  if (interaction.isChatInputCommand() && interaction.commandName === 'mplus-config') {
+    const sub = interaction.options.getSubcommand();
+    const config = getGuildConfig(guildState);
+
+    if (sub !== 'show') {
+      if (!isServerManager(interaction.member)) {
+        await interaction.reply({ content: 'Changing bot settings needs Manage Server.', ephemeral: true });
+        return;
+      }
+    } else if (!config.publicReadOnly && !isOfficer(interaction.member, guildState)) {
+      await interaction.reply({ content: 'Officer-only.', ephemeral: true });
+      return;
+    }
+
+    if (sub === 'reset') {
+      guildState.config = {};
+      saveState(state);
+      await interaction.reply({ content: `Settings reset.\n${describeConfig(getGuildConfig(guildState))}`, ephemeral: true, allowedMentions: { parse: [] } });
+      return;
+    }
+
+    if (sub === 'set') {
+      const next = guildState.config;
+      const addRole = interaction.options.getRole('add_officer_role');
+      const removeRole = interaction.options.getRole('remove_officer_role');
+      const channel = interaction.options.getChannel('signup_channel');
+      const lockMinutes = interaction.options.getInteger('lock_minutes');
+      const attempts = interaction.options.getInteger('attempts');
+      const publicReadOnly = interaction.options.getBoolean('public_read_only');
+      const publishThreads = interaction.options.getBoolean('publish_threads');
+      const publishDms = interaction.options.getBoolean('publish_dms');
+      const lockReminder = interaction.options.getInteger('lock_reminder_minutes');
+      const startReminder = interaction.options.getInteger('start_reminder_minutes');
+      const reminderDelivery = interaction.options.getString('reminder_delivery');
+      const checkInMinutes = interaction.options.getInteger('check_in_minutes');
+      const autoReplace = interaction.options.getBoolean('auto_replace');
+
+      if (addRole || removeRole) {
+        const roleIds = new Set(config.officerRoleIds);
+        if (addRole) roleIds.add(addRole.id);
+        if (removeRole) roleIds.delete(removeRole.id);
+        next.officerRoleIds = [...roleIds];
+      }
+      if (channel) next.signupChannelId = channel.id;
+      else if (interaction.options.getBoolean('clear_signup_channel')) delete next.signupChannelId;
+      if (lockMinutes !== null) {
+        if (lockMinutes > 0) next.lockOffsetMinutes = lockMinutes;
+        else delete next.lockOffsetMinutes;
+      }
+      if (attempts !== null) next.solverAttempts = attempts;
+      if (publicReadOnly !== null) next.publicReadOnly = publicReadOnly;
+      if (publishThreads !== null) next.publishThreads = publishThreads;
+      if (publishDms !== null) next.publishDms = publishDms;
+      if (lockReminder !== null) next.lockReminderMinutes = lockReminder;
+      if (startReminder !== null) next.startReminderMinutes = startReminder;
+      if (reminderDelivery) next.reminderDelivery = reminderDelivery;
+      if (checkInMinutes !== null) next.checkInMinutes = checkInMinutes;
+      if (autoReplace !== null) next.autoReplace = autoReplace;
+      // Sessions already posted pick up new reminder offsets straight away.
+      const remindersChanged = lockReminder !== null || startReminder !== null;
+      if (remindersChanged) {
+        for (const session of Object.values(guildState.sessions)) planReminders(session, getGuildConfig(guildState));
+      }
+      saveState(state);
+      if (remindersChanged) {
+        for (const session of Object.values(guildState.sessions)) scheduleReminders(guildId, session);
+      }
+    }
+
+    await interaction.reply({ content: describeConfig(getGuildConfig(guildState)), ephemeral: true, allowedMentions: { parse: [] } });
+    return;
+  }
 
   /* ----------------------------- slash commands ----------------------------- */
   if (interaction.isChatInputCommand() && interaction.commandName === 'mplus') {
+    const group = interaction.options.getSubcommandGroup(false);
     const sub = interaction.options.getSubcommand();
 
-    if (!isOfficer(interaction.member)) {
+    const config = getGuildConfig(guildState);
+    const officer = isOfficer(interaction.member, guildState);
+
+    // Players may manage their own profile and pair / avoid requests.
+    const playerCommand = sub === 'profile' || group === 'pair' || group === 'avoid';
+    const readOnly = config.publicReadOnly && isReadOnlyCommand(group, sub, interaction.options);
+    if (!playerCommand && !readOnly && !officer) {
       await interaction.reply({ content: 'Officer-only.', ephemeral: true });
       return;
     }
 
+    if (group === 'pair' || group === 'avoid') {
+      const type = group === 'pair' ? 'together' : 'apart';
+      const userId = interaction.user.id;
+
+      if (sub === 'list') {
+        const visible = guildState.constraints.filter(c =>
+          c.type === type && (officer || c.a === userId || c.b === userId)
+        );
+        const icon = type === 'together' ? '🔗' : '⛔';
+        await interaction.reply({
+          content: visible.length
+            ? visible.map(c => `${icon} <@${c.a}> + <@${c.b}>${c.hard ? ' (hard)' : ''}`).join('\n')
+            : `No ${group} constraints${officer ? '' : ' involving you'}.`,
+          ephemeral: true,
+          allowedMentions: { parse: [] }
+        });
+        return;
+      }
+
+      const a = interaction.options.getUser('player').id;
+      const b = interaction.options.getUser('other')?.id || userId;
+
+      if (a === b) {
+        await interaction.reply({ content: 'Pick two different players.', ephemeral: true });
+        return;
+      }
+      if (!officer && a !== userId && b !== userId) {
+        await interaction.reply({ content: 'You can only manage constraints that involve you.', ephemeral: true });
+        return;
+      }
+
+      const existing = findConstraint(guildState, type, a, b);
+
+      if (sub === 'add') {
+        const hard = interaction.options.getBoolean('hard') || false;
+        if (hard && !officer) {
+          await interaction.reply({ content: 'Only officers can make a constraint hard.', ephemeral: true });
+          return;
+        }
+
+        // Keeping apart wins over keeping together for the same two players.
+        const opposite = findConstraint(guildState, type === 'together' ? 'apart' : 'together', a, b);
+        if (opposite && type === 'together') {
+          await interaction.reply({ content: 'These players are already set to be kept apart. Remove that first.', ephemeral: true });
+          return;
+        }
+        if (opposite) guildState.constraints = guildState.constraints.filter(c => c !== opposite);
+
+        if (existing) {
+          existing.hard = hard;
+        } else {
+          guildState.constraints.push({ type, a, b, hard, createdBy: userId, createdAt: Date.now() });
+        }
+        saveState(state);
+
+        await interaction.reply({
+          content: `${type === 'together' ? '🔗 Keeping together' : '⛔ Keeping apart'} <@${a}> and <@${b}>${hard ? ' (hard)' : ''}.`,
+          ephemeral: true,
+          allowedMentions: { parse: [] }
+        });
+        return;
+      }
+
+      if (sub === 'remove') {
+        if (!existing) {
+          await interaction.reply({ content: 'No such constraint.', ephemeral: true });
+          return;
+        }
+        if (existing.hard && !officer) {
+          await interaction.reply({ content: 'Only officers can remove a hard constraint.', ephemeral: true });
+          return;
+        }
+        guildState.constraints = guildState.constraints.filter(c => c !== existing);
+        saveState(state);
+
+        await interaction.reply({ content: 'Constraint removed.', ephemeral: true });
+        return;
+      }
+    }
+
+    if (sub === 'profile') {
+      const userId = interaction.user.id;
+      const displayName = interaction.member?.displayName || interaction.user.username;
+      const profile = getProfile(guildState, userId) || { roles: [], mainRole: null, classes: { TANK: null, HEAL: null, DPS: null }, notes: '' };
+
+      const roles = new Set(profile.roles || []);
+      let changed = false;
+
+      for (const [option, roleKey] of [['tank', 'TANK'], ['heal', 'HEAL'], ['dps', 'DPS']]) {
+        const value = interaction.options.getBoolean(option);
+        if (value === null) continue;
+        if (value) roles.add(roleKey);
+        else roles.delete(roleKey);
+        changed = true;
+      }
+
+      const mainRole = interaction.options.getString('main_role');
+      if (mainRole) {
+        profile.mainRole = mainRole === 'NONE' ? null : mainRole;
+        if (profile.mainRole) roles.add(profile.mainRole);
+        changed = true;
+      }
+      if (profile.mainRole && !roles.has(profile.mainRole)) profile.mainRole = null;
+
+      profile.classes = { TANK: null, HEAL: null, DPS: null, ...(profile.classes || {}) };
+      for (const [option, roleKey] of [['tank_class', 'TANK'], ['heal_class', 'HEAL'], ['dps_class', 'DPS']]) {
+        const value = interaction.options.getString(option);
+        if (!value) continue;
+        if (profile.classes[roleKey] !== value) {
+          profile.classes[roleKey] = value;
+          pickSpecForClass(profile, roleKey);
+        }
+        changed = true;
+      }
+
+      // 0 is a real rating (a fresh character), so clearing has its own option.
+      const rating = interaction.options.getInteger('rating');
+      if (rating !== null) {
+        profile.rating = rating;
+        changed = true;
+      } else if (interaction.options.getBoolean('clear_rating')) {
+        profile.rating = null;
+        changed = true;
+      }
+
+      const notes = interaction.options.getString('notes');
+      if (notes !== null) {
+        profile.notes = notes.trim() === '-' ? '' : notes.trim();
+        changed = true;
+      }
+
+      if (changed) {
+        profile.roles = [...roles];
+        rememberProfile(guildState, userId, profile);
+        guildState.profiles[userId].notes = profile.notes || '';
+        guildState.profiles[userId].rating = profile.rating ?? null;
+        saveState(state);
+      }
+
+      const saved = getProfile(guildState, userId);
+      await interaction.reply({
+        content: saved
+          ? (changed ? 'Profile saved.' : 'Your saved profile:')
+          : 'No saved profile yet. Sign up once or set options on this command.',
+        embeds: [buildProfileEmbed(saved || profile, displayName)],
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (group === 'schedule') {
+      if (sub === 'add') {
+        const time = interaction.options.getString('time').trim();
+        const timezone = interaction.options.getString('timezone')?.trim() || 'UTC';
+        const lockAfterMinutes = interaction.options.getInteger('lock_after_minutes') || config.lockOffsetMinutes || null;
+        const startAfterMinutes = interaction.options.getInteger('start_after_minutes');
+
+        if (!/^([01]?\d|2[0-3]):[0-5]\d$/.test(time)) {
+          await interaction.reply({ content: 'Time must be 24h `HH:MM`, e.g. `19:30`.', ephemeral: true });
+          return;
+        }
+        if (!isValidTimeZone(timezone)) {
+          await interaction.reply({ content: `Unknown time zone \`${timezone}\`. Use an IANA name like \`Europe/Berlin\`.`, ephemeral: true });
+          return;
+        }
+        const { template, error } = templateFromOptions(interaction.options);
+        if (error) {
+          await interaction.reply({ content: error, ephemeral: true });
+          return;
+        }
+        if (startAfterMinutes && lockAfterMinutes && startAfterMinutes <= lockAfterMinutes) {
+          await interaction.reply({ content: 'The start has to come after the lock.', ephemeral: true });
+          return;
+        }
+
+        const schedule = {
+          id: Date.now().toString(36),
+          title: interaction.options.getString('title'),
+          description: interaction.options.getString('description') || '',
+          template,
+          weekday: interaction.options.getInteger('weekday'),
+          time: time.padStart(5, '0'),
+          timezone,
+          channelId: interaction.options.getChannel('channel')?.id || config.signupChannelId || interaction.channelId,
+          lockAfterMinutes,
+          startAfterMinutes: startAfterMinutes || null,
+          onLock: interaction.options.getString('on_lock') || 'none',
+          createdBy: interaction.user.id,
+          createdAt: Date.now(),
+          lastRunAt: null,
+          nextRunAt: null
+        };
+        schedule.nextRunAt = nextWeeklyRun(schedule);
+
+        guildState.schedules[schedule.id] = schedule;
+        saveState(state);
+        scheduleRecurring(guildId, schedule);
+
+        await interaction.reply({ content: `Recurring session added.\n${describeSchedule(schedule)}`, ephemeral: true });
+        return;
+      }
+
+      if (sub === 'list') {
+        const schedules = Object.values(guildState.schedules);
+        await interaction.reply({
+          content: schedules.length ? schedules.map(describeSchedule).join('\n\n') : 'No recurring sessions. Add one with /mplus schedule add.',
+          ephemeral: true
+        });
+        return;
+      }
+
+      if (sub === 'remove') {
+        const id = interaction.options.getString('id').trim();
+        if (!guildState.schedules[id]) {
+          await interaction.reply({ content: `No recurring session with id \`${id}\`.`, ephemeral: true });
+          return;
+        }
+
+        delete guildState.schedules[id];
+        saveState(state);
+        cancelRecurring(guildId, id);
+
+        await interaction.reply({ content: `Recurring session \`${id}\` removed.`, ephemeral: true });
+        return;
+      }
+    }
+
+    const sessionArg = interaction.options.getString('session');
+    const noSession = sessionArg
+      ? 'That session no longer exists. See /mplus list.'
+      : 'No active session. Use /mplus create first.';
+
+    if (sub === 'list') {
+      await interaction.reply({ embeds: [buildSessionListEmbed(guildState, guildId)], ephemeral: true });
+      return;
+    }
+
+    if (sub === 'rating') {
+      const session = resolveSession(guildState, sessionArg);
+      if (!session) {
+        await interaction.reply({ content: noSession, ephemeral: true });
+        return;
+      }
+
+      const player = interaction.options.getUser('player');
+      const info = session.signups[player.id];
+      if (!info) {
+        await interaction.reply({ content: `<@${player.id}> is not signed up for **${session.title}**.`, ephemeral: true, allowedMentions: { parse: [] } });
+        return;
+      }
+
+      info.rating = interaction.options.getInteger('rating');
+      if (guildState.profiles[player.id]) guildState.profiles[player.id].rating = info.rating;
+      saveState(state);
+      await updateSignupMessage(session);
+
+      await interaction.reply({
+        content: info.rating !== null ? `📈 Set ${info.displayName || `<@${player.id}>`}'s rating to **${info.rating}**.` : `Cleared ${info.displayName || `<@${player.id}>`}'s rating.`,
+        ephemeral: true,
+        allowedMentions: { parse: [] }
+      });
+      return;
+    }
+
+    if (sub === 'noshow' || sub === 'pull') {
+      const session = resolveSession(guildState, sessionArg);
+      if (!session) {
+        await interaction.reply({ content: noSession, ephemeral: true });
+        return;
+      }
+      const draft = session.lastDraft;
+      if (!session.published || !draft) {
+        await interaction.reply({ content: 'Nothing published yet. Run /mplus publish first.', ephemeral: true });
+        return;
+      }
+
+      const lines = [];
+      const summaries = [];
+      let target = interaction.options.getUser('player');
+      let gi = interaction.options.getInteger('group') ? interaction.options.getInteger('group') - 1 : null;
+
+      if (sub === 'noshow') {
+        const loc = findPlayerInDraft(draft, target.id);
+        if (loc?.where !== 'group') {
+          await interaction.reply({ content: `<@${target.id}> doesn't have a seat in the published groups.`, ephemeral: true, allowedMentions: { parse: [] } });
+          return;
+        }
+        const player = draft.groups[loc.gi][loc.slot];
+        draft.groups[loc.gi][loc.slot] = null;
+        draft.edited = true;
+        session.attendance ||= {};
+        session.attendance[player.id] = { status: 'noshow', at: Date.now(), name: player.name };
+        lines.push(`❌ Marked **${player.name}** as a no-show. Their ${ROLE_LABELS[slotRole(loc.slot)]} seat in Group ${loc.gi + 1} is open.`);
+        summaries.push(`No-show: ${player.name}`);
+
+        target = interaction.options.getUser('replacement');
+        gi = loc.gi;
+      }
+
+      if (target) {
+        if (!findPlayerInDraft(draft, target.id)) {
+          const promoted = promoteStandby(session, draft, target.id);
+          if (promoted) summaries.push(`${promoted.name} joined from standby`);
+        }
+        const pulled = pullFromBench(draft, target.id, gi);
+        if (pulled.error) {
+          lines.push(`⚠️ ${pulled.error}`);
+        } else {
+          lines.push(`🪑 Pulled **${pulled.player.name}** into Group ${pulled.gi + 1} as ${ROLE_LABELS[slotRole(pulled.slot)]}.`);
+          summaries.push(`Pulled ${pulled.player.name} into Group ${pulled.gi + 1}`);
+        }
+      }
+
+      if (summaries.length) {
+        hydrateDraftClassesFromSignups(session, draft);
+        commitDraft(session, draft, interaction.user.id, summaries.join('; '));
+        session.published.update = `🔁 ${summaries.join('; ')}.`;
+        saveState(state);
+        await refreshPublishedMessage(session);
+        await updateSignupMessage(session);
+      }
+
+      await interaction.reply({ content: lines.join('\n'), ephemeral: true });
+      return;
+    }
+
+    if (sub === 'attendance') {
+      await interaction.reply({
+        embeds: [buildAttendanceEmbed(guildState, interaction.options.getUser('player')?.id || null)],
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (sub === 'export') {
+      const session = resolveSession(guildState, sessionArg);
+      if (!session) {
+        await interaction.reply({ content: noSession, ephemeral: true });
+        return;
+      }
+
+      const files = exportSessionFiles(session).map(f => new AttachmentBuilder(Buffer.from(f.data, 'utf8'), { name: f.name }));
+      await interaction.reply({
+        content: `📦 **${session.title}**: ${Object.keys(session.signups).length} signups${session.lastDraft ? ' and the current draft' : ''}.`,
+        files,
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (sub === 'import') {
+      const session = resolveSession(guildState, sessionArg);
+      if (!session) {
+        await interaction.reply({ content: noSession, ephemeral: true });
+        return;
+      }
+
+      const file = interaction.options.getAttachment('file');
+      if (file.size > MAX_IMPORT_BYTES) {
+        await interaction.reply({ content: 'That file is too large (1 MB max).', ephemeral: true });
+        return;
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+
+      let text;
+      try {
+        const res = await fetch(file.url);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        text = await res.text();
+      } catch (err) {
+        await interaction.editReply(`Could not download the file: ${err.message}`);
+        return;
+      }
+
+      const parsed = parseImportFile(file.name, text);
+      if (parsed.error) {
+        await interaction.editReply(parsed.error);
+        return;
+      }
+
+      const lines = [];
+      const rejected = [];
+
+      if (parsed.signupRecords) {
+        if (interaction.options.getBoolean('replace')) session.signups = {};
+        const res = importSignups(session, parsed.signupRecords);
+        lines.push(`✅ Imported ${res.imported} signup${res.imported === 1 ? '' : 's'}.`);
+        rejected.push(...res.rejected.map(r => `signups ${r}`));
+      }
+
+      let draft = null;
+      if (parsed.draftRecords && session.published) {
+        lines.push('⚠️ Groups for this session are already published, so the draft in the file was not imported.');
+      } else if (parsed.draftRecords) {
+        const res = importDraft(session, parsed.draftRecords, guildState.constraints);
+        rejected.push(...res.rejected.map(r => `draft ${r}`));
+        if (res.draft.groups.length) {
+          draft = res.draft;
+          commitDraft(session, draft, interaction.user.id, `Imported ${file.name}`);
+          lines.push(`✅ Imported a draft with ${draft.groups.length} group${draft.groups.length === 1 ? '' : 's'}.`);
+          if (res.renumbered.length) lines.push(`ℹ️ The file skips group numbers, so groups were renumbered: ${res.renumbered.join(', ')}.`);
+        } else {
+          lines.push('⚠️ No draft rows could be used, so the draft is unchanged.');
+        }
+      }
+
+      saveState(state);
+      await updateSignupMessage(session);
+
+      if (rejected.length) {
+        lines.push(`⚠️ Rejected ${rejected.length} row${rejected.length === 1 ? '' : 's'}:`);
+        lines.push(...rejected.slice(0, 20).map(r => `• ${r}`));
+        if (rejected.length > 20) lines.push(`… and ${rejected.length - 20} more`);
+      }
+
+      await interaction.editReply({
+        content: lines.join('\n').slice(0, 2000),
+        embeds: draft ? [buildDraftEmbed(session, draft, 'Imported Draft')] : []
+      });
+      return;
+    }
+
+    if (sub === 'select') {
+      const session = getSessionById(guildState, sessionArg);
+      if (!session) {
+        await interaction.reply({ content: noSession, ephemeral: true });
+        return;
+      }
+      guildState.currentSessionId = session.id;
+      saveState(state);
+      await interaction.reply({ content: `Selected **${session.title}**. Commands without \`session:\` now act on it.`, ephemeral: true });
+      return;
+    }
+
     if (sub === 'create') {
       const title = interaction.options.getString('title');
       const description = interaction.options.getString('description') || '';
-      const lockMin = interaction.options.getInteger('lock_in_minutes');
+      const lockMin = interaction.options.getInteger('lock_in_minutes') ?? config.lockOffsetMinutes;
       const lockAt = lockMin ? Date.now() + lockMin * 60_000 : null;
+      const startMin = interaction.options.getInteger('start_in_minutes');
+      const startAt = startMin ? Date.now() + startMin * 60_000 : null;
+      const onLock = interaction.options.getString('on_lock') || 'none';
+      const { template, error } = templateFromOptions(interaction.options);
+      if (error) {
+        await interaction.reply({ content: error, ephemeral: true });
+        return;
+      }
+      if (startAt && lockAt && startAt <= lockAt) {
+        await interaction.reply({ content: 'The start has to come after the lock.', ephemeral: true });
+        return;
+      }
+
+      let channel = interaction.channel;
+      if (config.signupChannelId) {
+        channel = await client.channels.fetch(config.signupChannelId).catch(() => null);
+        if (!channel) {
+          await interaction.reply({ content: 'The configured signup channel no longer exists. Change it with /mplus-config set.', ephemeral: true });
+          return;
+        }
+      }
 
-      const newSessionId = `s-${guildId}-${Date.now()}`;
-      const session = {
-        id: newSessionId,
+      const session = await postSignupSession(guildState, guildId, channel, {
         title,
         description,
+        template,
         lockAt,
-        signups: {},
-        messageId: null,
-        channelId: null,
-        createdAt: Date.now(),
-        lastDraft: null
+        startAt,
+        onLock,
+        createdBy: interaction.user.id
+      });
+
+      saveState(state);
+      scheduleLock(guildId, session);
+      scheduleReminders(guildId, session);
+      await interaction.reply({
+        content: channel.id === interaction.channelId ? 'New signup session created.' : `New signup session created in <#${channel.id}>.`,
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (sub === 'preview') {
+      const session = resolveSession(guildState, sessionArg);
+      if (!session) {
+        await interaction.reply({ content: noSession, ephemeral: true });
+        return;
+      }
+      if (session.published) {
+        await interaction.reply({ content: PUBLISHED_DRAFT_LOCKED, ephemeral: true });
+        return;
+      }
+
+      const groupsWanted = interaction.options.getInteger('groups');
+      const attempts = interaction.options.getInteger('attempts') || config.solverAttempts;
+      const requireLust = interaction.options.getBoolean('require_lust') || false;
+      const requireBrez = interaction.options.getBoolean('require_brez') || false;
+      const keyBand = {
+        min: interaction.options.getInteger('key_min'),
+        max: interaction.options.getInteger('key_max')
       };
+      if (keyBand.min && keyBand.max && keyBand.min > keyBand.max) {
+        await interaction.reply({ content: '`key_min` cannot be higher than `key_max`.', ephemeral: true });
+        return;
+      }
+
+      // A large rating-mode solve can take seconds; acknowledge first.
+      await interaction.deferReply({ ephemeral: true });
+      const history = benchHistory(guildState, session);
+      const result = rollGroups(session.signups, groupsWanted, attempts, {
+        requireLust,
+        requireBrez,
+        keyBand,
+        history,
+        template: sessionTemplate(session),
+        ratingMode: ratingModeOption(interaction.options),
+        dpsMix: interaction.options.getBoolean('dps_mix') ?? true,
+        seed: interaction.options.getString('seed')?.trim(),
+        constraints: guildState.constraints
+      });
+      if (!result.groups.length) {
+        await interaction.editReply({ content: result.reason || 'No groups formed.' });
+        return;
+      }
+
+      const draft = draftFromResult(result);
+      commitDraft(session, draft, interaction.user.id, `Rolled ${draft.groups.length} group${draft.groups.length === 1 ? '' : 's'}`);
+
+      saveState(state);
+
+      await interaction.editReply({
+       content: `Preview draft (not posted). Edit it with the controls below (or /mplus swap), then publish.`,
+       embeds: [buildDraftEmbed(session, draft, 'Preview Draft')],
+       components: buildDraftEditorComponents(session, draft, getDraftEditor(session.id, interaction.user.id, true))
+      });
+      return;
+    }
+
+    if (sub === 'swap') {
+      const session = resolveSession(guildState, sessionArg);
+      if (!session) {
+        await interaction.reply({ content: noSession, ephemeral: true });
+        return;
+      }
+      if (!session.lastDraft) {
+        await interaction.reply({ content: 'No draft yet. Run /mplus preview first.', ephemeral: true });
+        return;
+      }
+      if (session.published) {
+        await interaction.reply({ content: PUBLISHED_DRAFT_LOCKED, ephemeral: true });
+        return;
+      }
+
+      const aUser = interaction.options.getUser('a');
+      const bUser = interaction.options.getUser('b');
+      const force = interaction.options.getBoolean('force') || false;
+
+      const draft = session.lastDraft;
 
-      guildState.sessions[newSessionId] = session;
-      guildState.currentSessionId = newSessionId;
+      const swapped = swapDraftPlayers(draft, aUser.id, bUser.id, force);
 
-      pruneOldSessions(guildState, 12);
+      if (swapped.error === 'missing') {
+        await interaction.reply({ content: 'Both players must be in the current draft (groups or bench).', ephemeral: true });
+        return;
+      }
+      if (swapped.error === 'roles') {
+        await interaction.reply({
+          content:
+            `Swap would break role eligibility for the slot(s).\n` +
+            `Run again with \`force:true\` if you really mean it.`,
+          ephemeral: true
+        });
+        return;
+      }
 
-      const embed = buildSignupEmbed(session);
-      const components = buildComponents(session.id);
+      const { aPlayer, bPlayer } = swapped;
 
-      const msg = await interaction.channel.send({ embeds: [embed], components });
-      session.messageId = msg.id;
-      session.channelId = interaction.channelId;
+      hydrateDraftClassesFromSignups(session, draft);
 
+      commitDraft(session, draft, interaction.user.id, `Swapped ${aPlayer.name} ↔ ${bPlayer.name}`);
       saveState(state);
-      await interaction.reply({ content: 'New signup session created.', ephemeral: true });
+
+      await interaction.reply({
+  content: `Swapped **${aPlayer.name}** and **${bPlayer.name}**.`,
+  embeds: [buildDraftEmbed(session, draft, 'Draft After Swap')],
+  ephemeral: true
+});
       return;
     }
 
-    if (sub === 'preview') {
-      const session = getCurrentSession(guildState);
+    if (sub === 'undo' || sub === 'redo') {
+      const session = resolveSession(guildState, sessionArg);
       if (!session) {
-        await interaction.reply({ content: 'No active session. Use /mplus create first.', ephemeral: true });
+        await interaction.reply({ content: noSession, ephemeral: true });
         return;
       }
 
-      const groupsWanted = interaction.options.getInteger('groups');
-      const attempts = interaction.options.getInteger('attempts') || 200;
+      if (session.published) {
+        await interaction.reply({ content: PUBLISHED_DRAFT_LOCKED, ephemeral: true });
+        return;
+      }
 
-      const result = rollGroups(session.signups, groupsWanted, attempts);
-      const draft = draftFromResult(result);
-      session.lastDraft = draft;
+      const revisions = session.draftRevisions || [];
+      const index = session.draftRevisionIndex ?? revisions.length - 1;
+      const nextIndex = sub === 'undo' ? index - 1 : index + 1;
 
+      if (nextIndex < 0 || nextIndex >= revisions.length) {
+        await interaction.reply({ content: sub === 'undo' ? 'Nothing to undo.' : 'Nothing to redo.', ephemeral: true });
+        return;
+      }
+
+      const undone = sub === 'undo' ? revisions[index] : revisions[nextIndex];
+      checkoutDraftRevision(session, nextIndex);
       saveState(state);
 
       await interaction.reply({
-       content: `Preview draft (not posted). Use /mplus swap then /mplus publish.`,
-       embeds: [buildDraftEmbed(session, draft, 'Preview Draft')],
-       ephemeral: true
+        content: `${sub === 'undo' ? '↩️ Undid' : '↪️ Redid'} #${undone.rev}: ${undone.summary}. Now at revision #${revisions[nextIndex].rev}.`,
+        embeds: [buildDraftEmbed(session, session.lastDraft, 'Preview Draft')],
+        components: buildDraftEditorComponents(session, session.lastDraft, getDraftEditor(session.id, interaction.user.id, true)),
+        ephemeral: true
       });
       return;
     }
 
-    if (sub === 'swap') {
-      const session = getCurrentSession(guildState);
+    if (sub === 'drafts') {
+      const session = resolveSession(guildState, sessionArg);
       if (!session) {
-        await interaction.reply({ content: 'No active session. Use /mplus create first.', ephemeral: true });
+        await interaction.reply({ content: noSession, ephemeral: true });
         return;
       }
-      if (!session.lastDraft) {
-        await interaction.reply({ content: 'No draft yet. Run /mplus preview first.', ephemeral: true });
+
+      const revisions = session.draftRevisions || [];
+      if (!revisions.length) {
+        await interaction.reply({ content: 'No draft revisions yet. Run /mplus preview first.', ephemeral: true });
         return;
       }
 
-      const aUser = interaction.options.getUser('a');
-      const bUser = interaction.options.getUser('b');
-      const force = interaction.options.getBoolean('force') || false;
+      const index = session.draftRevisionIndex ?? revisions.length - 1;
+      const findRev = (rev) => revisions.findIndex(r => r.rev === rev);
 
-      const draft = session.lastDraft;
+      const restore = interaction.options.getInteger('restore');
+      if (restore) {
+        const target = findRev(restore);
+        if (target < 0) {
+          await interaction.reply({ content: `Revision #${restore} is not in the history.`, ephemeral: true });
+          return;
+        }
+        if (session.published) {
+          await interaction.reply({ content: PUBLISHED_DRAFT_LOCKED, ephemeral: true });
+          return;
+        }
 
-      const aLoc = findPlayerInDraft(draft, aUser.id);
-      const bLoc = findPlayerInDraft(draft, bUser.id);
+        checkoutDraftRevision(session, target);
+        saveState(state);
 
-      if (!aLoc || !bLoc) {
-        await interaction.reply({ content: 'Both players must be in the current draft (groups or bench).', ephemeral: true });
+        await interaction.reply({
+          content: `Restored revision #${restore}: ${revisions[target].summary}.`,
+          embeds: [buildDraftEmbed(session, session.lastDraft, 'Preview Draft')],
+          components: buildDraftEditorComponents(session, session.lastDraft, getDraftEditor(session.id, interaction.user.id, true)),
+          ephemeral: true
+        });
         return;
       }
 
-      const getRef = (loc) => {
-        if (loc.where === 'bench') return { container: draft.bench, key: loc.bi, slotName: 'bench' };
-        return { container: draft.groups[loc.gi], key: loc.slot, slotName: loc.slot };
-      };
-
-      const aRef = getRef(aLoc);
-      const bRef = getRef(bLoc);
-
-      const aPlayer = aRef.container[aRef.key];
-      const bPlayer = bRef.container[bRef.key];
-
-      if (!force) {
-        const aOk = (bRef.slotName === 'bench') ? true : roleAllowedForSlot(aPlayer, bRef.slotName);
-        const bOk = (aRef.slotName === 'bench') ? true : roleAllowedForSlot(bPlayer, aRef.slotName);
-
-        if (!aOk || !bOk) {
-          await interaction.reply({
-            content:
-              `Swap would break role eligibility for the slot(s).\n` +
-              `Run again with \`force:true\` if you really mean it.`,
-            ephemeral: true
-          });
+      const diff = interaction.options.getInteger('diff');
+      if (diff) {
+        const against = interaction.options.getInteger('against') || revisions[index].rev;
+        const from = findRev(diff);
+        const to = findRev(against);
+        if (from < 0 || to < 0) {
+          await interaction.reply({ content: `Revision #${from < 0 ? diff : against} is not in the history.`, ephemeral: true });
           return;
         }
-      }
 
-      aRef.container[aRef.key] = bPlayer;
-      bRef.container[bRef.key] = aPlayer;
-
-      hydrateDraftClassesFromSignups(session, draft);
-
-      session.lastDraft = draft;
-      saveState(state);
+        const lines = diffDrafts(revisions[from].draft, revisions[to].draft);
+        await interaction.reply({
+          embeds: [
+            new EmbedBuilder()
+              .setTitle(`🔀 Draft #${diff} → #${against}`)
+              .setDescription((lines.length ? lines.join('\n') : 'No changes.').slice(0, 4096))
+              .setColor(0x00BFFF)
+          ],
+          ephemeral: true
+        });
+        return;
+      }
 
+      const lines = revisions.map((r, i) =>
+        `\`#${r.rev}\` <t:${Math.floor(r.at / 1000)}:R> by ${r.by ? `<@${r.by}>` : 'the bot'} — ${r.summary}${i === index ? '  ◀ current' : ''}`
+      );
       await interaction.reply({
-  content: `Swapped **${aPlayer.name}** and **${bPlayer.name}**.`,
-  embeds: [buildDraftEmbed(session, draft, 'Draft After Swap')],
-  ephemeral: true
-});
+        embeds: [
+          new EmbedBuilder()
+            .setTitle('🗂️ Draft Revisions')
+            .setDescription(lines.reverse().join('\n').slice(0, 4096))
+            .setColor(0x00BFFF)
+            .setFooter({ text: 'Use /mplus drafts restore:<n> or diff:<n>' })
+        ],
+        ephemeral: true
+      });
       return;
     }
 
     if (sub === 'publish') {
-  const session = getCurrentSession(guildState);
+  const session = resolveSession(guildState, sessionArg);
   if (!session) {
-    await interaction.reply({ content: 'No active session. Use /mplus create first.', ephemeral: true });
+    await interaction.reply({ content: noSession, ephemeral: true });
     return;
   }
   if (!session.lastDraft) {
     await interaction.reply({ content: 'Nothing to publish yet. Run /mplus preview first.', ephemeral: true });
     return;
   }
+  // A second publish would post the groups again and repeat their threads and DMs.
+  if (session.published) {
+    const { channelId, messageId } = session.published;
+    const where = messageId ? `: https://discord.com/channels/${guildId}/${channelId}/${messageId}` : '';
+    await interaction.reply({ content: `📣 These groups are already published${where}. Use \`/mplus clear\` to start over.`, ephemeral: true });
+    return;
+  }
 
-  // Acknowledge the command privately (so the officer gets feedback)
-  await interaction.reply({ content: 'Published.', ephemeral: true });
+  // Threads and DMs can take a while, so acknowledge privately first
+  await interaction.deferReply({ ephemeral: true });
 
-  // Post publicly to the channel
-  await interaction.channel.send({
-    content: `📣 **Groups posted!**`,
-    embeds: [buildDraftEmbed(session, session.lastDraft, 'Final Groups')]
+  const report = await publishDraft(session, session.lastDraft, interaction.channel, {
+    threads: interaction.options.getBoolean('threads') ?? config.publishThreads,
+    dms: interaction.options.getBoolean('dm_players') ?? config.publishDms,
+    checkInMinutes: config.checkInMinutes
   });
+  saveState(state);
 
+  await interaction.editReply({ content: ['Published.', ...report].join('\n') });
   return;
 }
 
     if (sub === 'setlock') {
-  const session = getCurrentSession(guildState);
+  const session = resolveSession(guildState, sessionArg);
   if (!session) {
-    await interaction.reply({ content: 'No active session. Use /mplus create first.', ephemeral: true });
+    await interaction.reply({ content: noSession, ephemeral: true });
     return;
   }
 
   const minutes = interaction.options.getInteger('minutes_from_now');
-  session.lockAt = Date.now() + minutes * 60_000;
+  const lockAt = Date.now() + minutes * 60_000;
+  if (session.startAt && lockAt >= session.startAt) {
+    await interaction.reply({ content: `The lock has to come before the start (<t:${Math.floor(session.startAt / 1000)}:F>).`, ephemeral: true });
+    return;
+  }
+  session.lockAt = lockAt;
+  session.onLock = interaction.options.getString('on_lock') || session.onLock || 'none';
+  session.lockSetBy = interaction.user.id;
+  session.lockHandledAt = null;
+  planReminders(session, config);
 
   saveState(state);
+  scheduleLock(guildId, session);
+  scheduleReminders(guildId, session);
 
   // Update the original signup message to show the new lock time
-  try {
-    const channel = await client.channels.fetch(session.channelId);
-    const msg = await channel.messages.fetch(session.messageId);
-    await msg.edit({ embeds: [buildSignupEmbed(session)], components: buildComponents(session.id) });
-  } catch {
-    // If the message was deleted or can't be fetched, we still keep the lock time in state
-  }
+  await updateSignupMessage(session);
 
   await interaction.reply({
     content: `Updated lock time to <t:${Math.floor(session.lockAt / 1000)}:F>.`,
@@ -828,85 +4988,341 @@ client.on('interactionCreate', async (interaction) => {
   return;
 } 
 
+    if (sub === 'setstart') {
+      const session = resolveSession(guildState, sessionArg);
+      if (!session) {
+        await interaction.reply({ content: noSession, ephemeral: true });
+        return;
+      }
+
+      const minutes = interaction.options.getInteger('minutes_from_now');
+      const startAt = minutes ? Date.now() + minutes * 60_000 : null;
+      if (startAt && session.lockAt && !isSessionLocked(session) && startAt <= session.lockAt) {
+        await interaction.reply({ content: `The start has to come after the lock (<t:${Math.floor(session.lockAt / 1000)}:F>).`, ephemeral: true });
+        return;
+      }
+      session.startAt = startAt;
+      planReminders(session, config);
+
+      saveState(state);
+      scheduleReminders(guildId, session);
+      await updateSignupMessage(session);
+
+      await interaction.reply({
+        content: startAt ? `Keys start <t:${Math.floor(startAt / 1000)}:F>.` : 'Start time cleared.',
+        ephemeral: true
+      });
+      return;
+    }
+
     if (sub === 'unlock') {
-  const session = getCurrentSession(guildState);
+  const session = resolveSession(guildState, sessionArg);
   if (!session) {
-    await interaction.reply({ content: 'No active session. Use /mplus create first.', ephemeral: true });
+    await interaction.reply({ content: noSession, ephemeral: true });
+    return;
+  }
+  // Published groups keep later signups on standby whatever the lock says.
+  if (session.published) {
+    await interaction.reply({
+      content: '📣 Groups for this session are already published, so new signups stay on the standby list. Seat them with `/mplus pull`, or `/mplus clear` to start over.',
+      ephemeral: true
+    });
     return;
   }
 
   session.lockAt = null;
+  session.lockHandledAt = null;
+  planReminders(session, config);
   saveState(state);
+  cancelLock(session.id);
+  scheduleReminders(guildId, session);
 
-  try {
-    const channel = await client.channels.fetch(session.channelId);
-    const msg = await channel.messages.fetch(session.messageId);
-    await msg.edit({ embeds: [buildSignupEmbed(session)], components: buildComponents(session.id) });
-  } catch {}
+  await updateSignupMessage(session);
 
   await interaction.reply({ content: 'Lock removed. Signups are open.', ephemeral: true });
   return;
 }
 
     if (sub === 'roll') {
-      const session = getCurrentSession(guildState);
+      const session = resolveSession(guildState, sessionArg);
       if (!session) {
-        await interaction.reply({ content: 'No active session. Use /mplus create first.', ephemeral: true });
+        await interaction.reply({ content: noSession, ephemeral: true });
         return;
       }
 
       const groupsWanted = interaction.options.getInteger('groups');
-      const attempts = interaction.options.getInteger('attempts') || 200;
+      const attempts = interaction.options.getInteger('attempts') || config.solverAttempts;
+      const requireLust = interaction.options.getBoolean('require_lust') || false;
+      const requireBrez = interaction.options.getBoolean('require_brez') || false;
+      const keyBand = {
+        min: interaction.options.getInteger('key_min'),
+        max: interaction.options.getInteger('key_max')
+      };
+      if (keyBand.min && keyBand.max && keyBand.min > keyBand.max) {
+        await interaction.reply({ content: '`key_min` cannot be higher than `key_max`.', ephemeral: true });
+        return;
+      }
 
-      const result = rollGroups(session.signups, groupsWanted, attempts);
-      await interaction.reply({ content: formatGroups(result) });
+      // A large rating-mode solve can take seconds; acknowledge first.
+      await interaction.deferReply();
+      const history = benchHistory(guildState, session);
+      const result = rollGroups(session.signups, groupsWanted, attempts, {
+        requireLust,
+        requireBrez,
+        keyBand,
+        history,
+        template: sessionTemplate(session),
+        ratingMode: ratingModeOption(interaction.options),
+        dpsMix: interaction.options.getBoolean('dps_mix') ?? true,
+        seed: interaction.options.getString('seed')?.trim(),
+        constraints: guildState.constraints
+      });
+      await interaction.editReply({ content: formatGroups(result) });
       return;
     }
 
     if (sub === 'clear') {
-      const session = getCurrentSession(guildState);
+      const session = resolveSession(guildState, sessionArg);
       if (!session) {
-        await interaction.reply({ content: 'No active session to clear.', ephemeral: true });
+        await interaction.reply({ content: noSession, ephemeral: true });
         return;
       }
       session.signups = {};
+      session.standby = {};
       session.lastDraft = null;
+      session.draftRevisions = [];
+      session.draftRevisionIndex = null;
+      // Published groups and their check-in belonged to the old roster.
+      session.published = null;
+      session.attendance = {};
       saveState(state);
-      await interaction.reply({ content: 'Current session signups cleared.', ephemeral: true });
+      closeDraftEditors(session.id);
+      await updateSignupMessage(session);
+      await interaction.reply({ content: `Signups for **${session.title}** cleared.`, ephemeral: true });
       return;
     }
   }
 
   /* ----------------------------- buttons ----------------------------- */
   
-if (interaction.isStringSelectMenu()) {
-  const [prefix, sid, kind, roleKey] = interaction.customId.split(':');
-  if (prefix !== 'mplus' || kind !== 'class') return;
+  /* ----------------------------- check-in ----------------------------- */
+
+if (interaction.isButton() && interaction.customId.startsWith('mpluscheckin:')) {
+  const [, sid] = interaction.customId.split(':');
+  const session = getSessionById(guildState, sid);
+  const draft = session?.lastDraft;
+  if (!session?.published || !draft) {
+    await interaction.reply({ content: 'These groups are no longer active.', ephemeral: true });
+    return;
+  }
+  if (checkInClosed(session)) {
+    await interaction.reply({ content: '⌛ Check-in is closed.', ephemeral: true });
+    return;
+  }
+
+  const userId = interaction.user.id;
+  const loc = findPlayerInDraft(draft, userId);
+  if (!loc) {
+    await interaction.reply({ content: "You don't have a seat in these groups.", ephemeral: true });
+    return;
+  }
+  if (loc.where === 'bench') {
+    await interaction.reply({ content: "🪑 You're on standby. An officer will pull you in if a spot opens.", ephemeral: true });
+    return;
+  }
+  if (session.attendance?.[userId]?.status === 'present') {
+    await interaction.reply({ content: `You're already checked in for Group ${loc.gi + 1}.`, ephemeral: true });
+    return;
+  }
+
+  session.attendance ||= {};
+  session.attendance[userId] = { status: 'present', at: Date.now(), name: draft.groups[loc.gi][loc.slot].name };
+  saveState(state);
+
+  await interaction.reply({ content: `✅ Checked in for Group ${loc.gi + 1}.`, ephemeral: true });
+  await refreshPublishedMessage(session);
+  return;
+}
+
+  /* ----------------------------- draft editor ----------------------------- */
+
+if ((interaction.isButton() || interaction.isStringSelectMenu()) && interaction.customId.startsWith('mplusdraft:')) {
+  const [, sid, action] = interaction.customId.split(':');
+
+  if (!isOfficer(interaction.member, guildState)) {
+    await interaction.reply({ content: 'Officer-only.', ephemeral: true });
+    return;
+  }
 
-  const state = loadState();
-  const guildState = ensureGuildState(state, interaction.guildId);
   const session = getSessionById(guildState, sid);
+  const draft = session?.lastDraft;
+  if (!draft) {
+    closeDraftEditors(sid);
+    await interaction.update({ content: 'This draft no longer exists. Run /mplus preview again.', embeds: [], components: [] });
+    return;
+  }
+  // Other officers' previews stay open after a publish; their controls stop here.
+  if (session.published) {
+    closeDraftEditors(sid);
+    await interaction.update({ content: PUBLISHED_DRAFT_LOCKED, embeds: [buildDraftEmbed(session, draft, 'Final Groups')], components: [] });
+    return;
+  }
+
+  const editor = getDraftEditor(sid, interaction.user.id);
+  const nameOf = (id) => [...draft.groups.flatMap(draftGroupMembers), ...(draft.bench || [])].find(p => p.id === id)?.name || id;
+  let status = null;
+  let changed = false;
+  let summary = null;
+
+  if (action === 'pick') {
+    editor.picked = interaction.values;
+  } else if (action === 'target') {
+    editor.target = interaction.values[0];
+  } else if (action === 'force') {
+    editor.force = !editor.force;
+  } else if (action === 'page') {
+    const total = draft.groups.flatMap(draftGroupMembers).length + (draft.bench?.length || 0);
+    editor.page = (editor.page + 1) * DRAFT_EDITOR_PAGE_SIZE >= total ? 0 : editor.page + 1;
+  } else if (action === 'targetpage') {
+    editor.targetPage++; // buildDraftEditorComponents wraps it past the last page
+  } else if (action === 'move') {
+    if (editor.picked.length !== 1 || !editor.target) {
+      status = 'Pick exactly one player and a target slot to move.';
+    } else {
+      const name = nameOf(editor.picked[0]);
+      status = moveDraftPlayer(draft, editor.picked[0], editor.target, editor.force);
+      changed = !status;
+      if (changed) {
+        summary = `Moved ${name} to ${draftTargetLabel(draft, editor.target)}`;
+        status = `${summary}.`;
+      }
+    }
+  } else if (action === 'swap') {
+    if (editor.picked.length !== 2) {
+      status = 'Pick two players to swap.';
+    } else {
+      const swapped = swapDraftPlayers(draft, editor.picked[0], editor.picked[1], editor.force);
+      if (swapped.error === 'missing') status = 'Both players must still be in the draft.';
+      else if (swapped.error === 'roles') status = 'Swap would break role eligibility. Turn on Force to swap anyway.';
+      else {
+        changed = true;
+        summary = `Swapped ${swapped.aPlayer.name} ↔ ${swapped.bPlayer.name}`;
+        status = `Swapped **${swapped.aPlayer.name}** and **${swapped.bPlayer.name}**.`;
+      }
+    }
+  } else if (action === 'reroll') {
+    const gi = editor.target?.startsWith('g:') ? Number(editor.target.split(':')[1]) : null;
+    if (gi === null) {
+      status = 'Pick a slot in the group you want to re-roll.';
+    } else {
+      status = rerollDraftGroup(session, draft, gi);
+      changed = !status;
+      if (changed) {
+        summary = `Re-rolled Group ${gi + 1}`;
+        status = `${summary}.`;
+      }
+    }
+  } else if (action === 'publish') {
+    await interaction.update({ content: '📣 Publishing…', embeds: [buildDraftEmbed(session, draft, 'Final Groups')], components: [] });
+    const config = getGuildConfig(guildState);
+    const report = await publishDraft(session, draft, interaction.channel, { threads: config.publishThreads, dms: config.publishDms, checkInMinutes: config.checkInMinutes });
+    saveState(state);
+    closeDraftEditors(sid);
+    await interaction.editReply({ content: ['📣 Published.', ...report].join('\n') });
+    return;
+  }
 
+  if (changed) {
+    editor.picked = [];
+    hydrateDraftClassesFromSignups(session, draft);
+    commitDraft(session, draft, interaction.user.id, summary);
+    saveState(state);
+  }
+
+  const everyone = [...draft.groups.flatMap(draftGroupMembers), ...(draft.bench || [])];
+  const picked = editor.picked.map(id => everyone.find(p => p.id === id)?.name || id);
+
+  await interaction.update({
+    content:
+      `${status ? `${status}\n` : ''}` +
+      `Selected: **${picked.length ? picked.join(', ') : 'nobody'}**` +
+      ` · Target: **${draftTargetLabel(draft, editor.target)}** · Force: **${editor.force ? 'on' : 'off'}**`,
+    embeds: [buildDraftEmbed(session, draft, 'Preview Draft')],
+    components: buildDraftEditorComponents(session, draft, editor)
+  });
+  return;
+}
+
+if (interaction.isStringSelectMenu() && interaction.customId.startsWith('mpluschars:')) {
+  const [, sid] = interaction.customId.split(':');
+  const session = getSessionById(guildState, sid);
   if (!session) {
-    await interaction.reply({ content: 'This signup session no longer exists.', ephemeral: true });
+    await interaction.update({ content: 'This signup session no longer exists.', components: [] });
+    return;
+  }
+
+  const userId = interaction.user.id;
+  const displayName = interaction.member?.displayName || interaction.user.username;
+  const roster = signupRoster(session, userId);
+  if (!roster) {
+    await interaction.update({ content: "🔒 Signups are locked. Press Leave if you can't make it.", components: [] });
+    return;
+  }
+  const standbyNote = roster === session.standby ? '\n🪑 Signups are closed, so you are on the standby list.' : '';
+
+  // Snapshot the picks, so later edits to the profile don't reshape this signup.
+  const picked = (getProfile(guildState, userId)?.characters || [])
+    .filter(c => interaction.values.includes(c.name))
+    .map(c => ({ ...c, roles: [...c.roles], specs: { ...c.specs } }));
+  if (!picked.length) {
+    if (roster[userId]) dropCharacters(roster[userId]);
+    saveState(state);
+    await updateSignupMessage(session);
+    await interaction.update({ content: 'Character picks cleared. Your roles and classes stay as they were.', components: [] });
     return;
   }
 
-  // Optional: respect lock
-  if (session.lockAt && Date.now() >= session.lockAt) {
-    await interaction.reply({ content: '🔒 Signups are locked.', ephemeral: true });
+  roster[userId] ||= newSignup(displayName, roster === session.standby);
+  const info = roster[userId];
+  info.characters = picked;
+  info.displayName = displayName;
+  applyCharacters(info);
+
+  saveState(state);
+  await updateSignupMessage(session);
+  await interaction.update({
+    content: `🧙 Signed up with **${picked.map(c => c.name).join('**, **')}** (${rolesToLabel(new Set(info.roles))}).${standbyNote}`,
+    components: []
+  });
+  return;
+}
+
+if (interaction.isStringSelectMenu()) {
+  const [prefix, sid, kind, roleKey] = interaction.customId.split(':');
+  if (prefix !== 'mplus' || (kind !== 'class' && kind !== 'spec')) return;
+
+  const session = getSessionById(guildState, sid);
+
+  if (!session) {
+    await interaction.reply({ content: 'This signup session no longer exists.', ephemeral: true });
     return;
   }
 
   const userId = interaction.user.id;
   const displayName = interaction.member?.displayName || interaction.user.username;
 
-  session.signups ||= {};
-  session.signups[userId] ||= { roles: [], displayName, classes: { TANK: null, HEAL: null, DPS: null } };
-  session.signups[userId].displayName = displayName;
-  session.signups[userId].classes ||= { TANK: null, HEAL: null, DPS: null };
+  const roster = signupRoster(session, userId);
+  if (!roster) {
+    await interaction.reply({ content: "🔒 Signups are locked. Press Leave if you can't make it.", ephemeral: true });
+    return;
+  }
+  const standbyNote = roster === session.standby ? '\n🪑 Signups are closed, so you are on the standby list.' : '';
+
+  roster[userId] ||= newSignup(displayName, roster === session.standby);
+  roster[userId].displayName = displayName;
+  roster[userId].classes ||= { TANK: null, HEAL: null, DPS: null };
 
-const roles = new Set(session.signups[userId].roles || []);
+const roles = new Set(roster[userId].roles || []);
 if (!roles.has(roleKey)) {
   await interaction.reply({
     content: `Pick the **${roleKey}** role first.`,
@@ -917,6 +5333,23 @@ if (!roles.has(roleKey)) {
 
   const value = interaction.values[0];
 
+  if (kind === 'spec') {
+    const spec = specInfo(value);
+    if (!spec || spec.role !== roleKey || spec.classId !== roster[userId].classes[roleKey]) {
+      await interaction.update({ content: 'That spec no longer matches your class. Pick the class again.', components: [] });
+      return;
+    }
+    roster[userId].specs = { TANK: null, HEAL: null, DPS: null, ...(roster[userId].specs || {}), [roleKey]: spec.id };
+    rememberProfile(guildState, userId, roster[userId]);
+    saveState(state);
+    await updateSignupMessage(session);
+    await interaction.update({
+      content: `Updated ${roleKey} spec to **${specClassLabel(spec.classId, spec.id)}**.${standbyNote}`,
+      components: []
+    });
+    return;
+  }
+
 const allowed = ROLE_CLASSES[roleKey] || new Set();
 
 if (value !== 'UNSET' && !allowed.has(value)) {
@@ -927,7 +5360,10 @@ if (value !== 'UNSET' && !allowed.has(value)) {
   return;
 }
 
-  session.signups[userId].classes[roleKey] = (value === 'UNSET') ? null : value;
+  roster[userId].classes[roleKey] = (value === 'UNSET') ? null : value;
+  const charactersNote = dropCharacters(roster[userId]);
+  const specs = pickSpecForClass(roster[userId], roleKey);
+  rememberProfile(guildState, userId, roster[userId]);
 
   saveState(state);
 
@@ -938,14 +5374,17 @@ if (value !== 'UNSET' && !allowed.has(value)) {
     await msg.edit({ embeds: [buildSignupEmbed(session)], components: buildComponents(session.id) });
   } catch {}
 
+  const classId = roster[userId].classes[roleKey];
   await interaction.reply({
-    content: `Updated ${roleKey} class to **${session.signups[userId].classes[roleKey] ? classLabel(session.signups[userId].classes[roleKey]) : 'Unset'}**.`,
+    content: `Updated ${roleKey} class to **${classId ? specClassLabel(classId, roster[userId].specs[roleKey]) : 'Unset'}**.` +
+      `${specs.length > 1 ? ' Pick your spec below.' : ''}${charactersNote}${standbyNote}`,
+    components: specs.length > 1 ? [buildSpecMenuRow(session.id, roleKey, specs)] : [],
     ephemeral: true
   });
 }
-if (interaction.isButton()) {
-  const [prefix, sid, action, payload] = interaction.customId.split(':');
-  if (prefix !== 'mplus') return;
+if (interaction.isModalSubmit()) {
+  const [prefix, sid, kind] = interaction.customId.split(':');
+  if (prefix !== 'mplus' || kind !== 'keystone') return;
 
   const session = getSessionById(guildState, sid);
   if (!session) {
@@ -953,31 +5392,152 @@ if (interaction.isButton()) {
     return;
   }
 
-  // ADD THIS BLOCK HERE
-  if (session.lockAt && Date.now() >= session.lockAt) {
-    await interaction.reply({
-      content: '🔒 Signups are locked.',
-      ephemeral: true
-    });
+  const userId = interaction.user.id;
+  const displayName = interaction.member?.displayName || interaction.user.username;
+
+  const roster = signupRoster(session, userId);
+  if (!roster) {
+    await interaction.reply({ content: "🔒 Signups are locked. Press Leave if you can't make it.", ephemeral: true });
+    return;
+  }
+
+  const dungeon = interaction.fields.getTextInputValue('dungeon').trim();
+  const levelRaw = interaction.fields.getTextInputValue('level').trim().replace(/^\+/, '');
+
+  let keystone = null;
+  if (dungeon) {
+    const level = Number(levelRaw);
+    if (!Number.isInteger(level) || level < 2 || level > 40) {
+      await interaction.reply({ content: 'Key level must be a whole number between 2 and 40.', ephemeral: true });
+      return;
+    }
+    keystone = { dungeon, level };
+  }
+
+  const ratingRaw = interaction.fields.getTextInputValue('rating').trim();
+  const rating = ratingRaw ? Number(ratingRaw) : null;
+  if (ratingRaw && !isValidRating(rating)) {
+    await interaction.reply({ content: `Rating must be a whole number between 0 and ${MAX_RATING}.`, ephemeral: true });
+    return;
+  }
+
+  roster[userId] ||= newSignup(displayName, roster === session.standby);
+  roster[userId].displayName = displayName;
+  roster[userId].keystone = keystone;
+  roster[userId].rating = rating;
+  if (guildState.profiles[userId]) guildState.profiles[userId].rating = rating;
+
+  saveState(state);
+
+  try {
+    const channel = await client.channels.fetch(session.channelId);
+    const msg = await channel.messages.fetch(session.messageId);
+    await msg.edit({ embeds: [buildSignupEmbed(session)], components: buildComponents(session.id) });
+  } catch {}
+
+  await interaction.reply({
+    content: [
+      keystone ? `Keystone set to **${formatKeystone(keystone)}**.` : 'Keystone cleared.',
+      rating ? `Rating set to **${rating}**.` : 'Rating cleared.'
+    ].join(' '),
+    ephemeral: true
+  });
+  return;
+}
+if (interaction.isButton()) {
+  const [prefix, sid, action, payload] = interaction.customId.split(':');
+  if (prefix !== 'mplus') return;
+
+  const session = getSessionById(guildState, sid);
+  if (!session) {
+    await interaction.reply({ content: 'This signup session no longer exists.', ephemeral: true });
     return;
   }
 
     const userId = interaction.user.id;
     const displayName = interaction.member?.displayName || interaction.user.username;
 
-    session.signups ||= {};
-    session.signups[userId] ||= { roles: [], displayName, classes: { TANK: null, HEAL: null, DPS: null } };
-    session.signups[userId].classes ||= { TANK: null, HEAL: null, DPS: null };
+    if (action === 'leave' && signupsClosed(session) && session.signups?.[userId]) {
+      const outcome = withdrawSignup(session, userId, getGuildConfig(guildState).autoReplace);
+      const { replacement, suggestion } = outcome;
+      if (outcome.changed) commitDraft(session, session.lastDraft, userId, outcome.summary);
+      if (outcome.seat && session.published) {
+        session.published.update = replacement
+          ? `🔁 **${outcome.name}** left. **${replacement.name}** takes their ${outcome.seat}.`
+          : `🔁 **${outcome.name}** left their ${outcome.seat}. ` +
+            (suggestion
+              ? `Suggested replacement: **${suggestion.player.name}** (${suggestion.source}). Officers: \`/mplus pull\` <@${suggestion.player.id}> into group ${outcome.gi + 1}.`
+              : 'Nobody on the bench or standby list can fill it.');
+      }
+      saveState(state);
+
+      await interaction.reply({ content: 'Removed you from signups. Thanks for letting us know.', ephemeral: true });
+      await updateSignupMessage(session);
+      if (!outcome.changed || !session.published) return;
+
+      // Published groups are edited in place, bench changes included.
+      await refreshPublishedMessage(session);
+      if (replacement) {
+        const seat = findPlayerInDraft(session.lastDraft, replacement.id);
+        await sendDms([{
+          player: replacement,
+          content: `🔁 A seat opened up for **${session.title || 'Mythic+'}**: you're now in **Group ${outcome.gi + 1}** as ${describeSeat(replacement, slotRole(seat.slot))}.`
+        }]);
+      }
+      return;
+    }
+
+    const roster = signupRoster(session, userId);
+    if (!roster) {
+      await interaction.reply({ content: "🔒 Signups are locked. Press Leave if you can't make it.", ephemeral: true });
+      return;
+    }
+    const onStandby = roster === session.standby;
+    const standbyNote = onStandby ? '\n🪑 Signups are closed, so you are on the standby list.' : '';
+
+    if (action === 'characters') {
+      const characters = getProfile(guildState, userId)?.characters || [];
+      if (!characters.length) {
+        await interaction.reply({ content: 'No characters saved yet. Add them with `/character add`, then pick them here.', ephemeral: true });
+        return;
+      }
+      const chosen = new Set((roster[userId]?.characters || []).map(c => c.name));
+      const menu = new StringSelectMenuBuilder()
+        .setCustomId(`mpluschars:${session.id}`)
+        .setPlaceholder('Characters you could bring')
+        .setMinValues(0)
+        .setMaxValues(characters.length)
+        .addOptions(characters.map(c =>
+          new StringSelectMenuOptionBuilder()
+            .setLabel(c.name)
+            .setValue(c.name)
+            .setDescription(`${classLabel(c.classId)} · ${c.roles.map(role => specInfo(c.specs?.[role])?.label || ROLE_LABELS[role]).join(' / ')}`)
+            .setEmoji(CLASS_EMOJI_OBJ[c.classId])
+            .setDefault(chosen.has(c.name))
+        ));
+      await interaction.reply({
+        content: 'Pick the characters you could bring. You get one seat; for each role you bring the first picked character (in `/character list` order) that plays it.',
+        components: [new ActionRowBuilder().addComponents(menu)],
+        ephemeral: true
+      });
+      return;
+    }
+
+    roster[userId] ||= newSignup(displayName, onStandby);
+    roster[userId].classes ||= { TANK: null, HEAL: null, DPS: null };
 
     if (action === 'toggle') {
       const role = payload; // TANK/HEAL/DPS
-      const roles = new Set(session.signups[userId].roles || []);
+      const roles = new Set(roster[userId].roles || []);
 
       if (roles.has(role)) roles.delete(role);
       else roles.add(role);
 
-      session.signups[userId].roles = [...roles];
-      session.signups[userId].displayName = displayName;
+      roster[userId].roles = [...roles];
+      if (roster[userId].mainRole === role && !roles.has(role)) roster[userId].mainRole = null;
+      roster[userId].displayName = displayName;
+      const charactersNote = dropCharacters(roster[userId]);
+      rememberProfile(guildState, userId, roster[userId]);
 
       saveState(state);
 
@@ -991,14 +5551,124 @@ if (interaction.isButton()) {
       }
 
       await interaction.reply({
-        content: `Updated: **${rolesToLabel(new Set(session.signups[userId].roles))}**`,
+        content: `Updated: **${rolesToLabel(new Set(roster[userId].roles))}**${charactersNote}${standbyNote}`,
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (action === 'main') {
+      const role = payload; // TANK/HEAL/DPS
+      const info = roster[userId];
+      const roles = new Set(info.roles || []);
+
+      if (info.mainRole === role) {
+        info.mainRole = null;
+      } else {
+        roles.add(role);
+        info.roles = [...roles];
+        info.mainRole = role;
+      }
+      info.displayName = displayName;
+      rememberProfile(guildState, userId, info);
+
+      saveState(state);
+
+      try {
+        const channel = await client.channels.fetch(session.channelId);
+        const msg = await channel.messages.fetch(session.messageId);
+        await msg.edit({ embeds: [buildSignupEmbed(session)], components: buildComponents(session.id) });
+      } catch {}
+
+      const fillRoles = (info.roles || []).filter(r => r !== info.mainRole);
+      await interaction.reply({
+        content: info.mainRole
+          ? `Main role: **${info.mainRole}**. Willing to fill: **${rolesToLabel(new Set(fillRoles))}**${standbyNote}`
+          : `Main role cleared. Roles: **${rolesToLabel(roles)}**${standbyNote}`,
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (action === 'usual') {
+      const profile = getProfile(guildState, userId);
+      if (!profile?.roles?.length) {
+        await interaction.reply({
+          content: 'No saved profile yet. Sign up with the buttons once (or use `/mplus profile`) and the bot will remember it.',
+          ephemeral: true
+        });
+        return;
+      }
+
+      const info = roster[userId];
+      info.roles = [...profile.roles];
+      info.mainRole = profile.mainRole || null;
+      info.classes = { TANK: null, HEAL: null, DPS: null, ...(profile.classes || {}) };
+      info.specs = { TANK: null, HEAL: null, DPS: null, ...(profile.specs || {}) };
+      if (isValidRating(profile.rating)) info.rating = profile.rating;
+      info.displayName = displayName;
+      const charactersNote = dropCharacters(info);
+
+      saveState(state);
+
+      try {
+        const channel = await client.channels.fetch(session.channelId);
+        const msg = await channel.messages.fetch(session.messageId);
+        await msg.edit({ embeds: [buildSignupEmbed(session)], components: buildComponents(session.id) });
+      } catch {}
+
+      await interaction.reply({
+        content: `Signed up with your usual picks.${charactersNote}${standbyNote}`,
+        embeds: [buildProfileEmbed(profile, displayName)],
         ephemeral: true
       });
       return;
     }
 
+    if (action === 'keystone') {
+      const current = roster[userId].keystone;
+
+      const rating = roster[userId].rating ?? getProfile(guildState, userId)?.rating;
+
+      const modal = new ModalBuilder()
+        .setCustomId(`mplus:${session.id}:keystone`)
+        .setTitle('Your Keystone & Rating')
+        .addComponents(
+          new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+              .setCustomId('dungeon')
+              .setLabel('Dungeon (leave empty to clear)')
+              .setStyle(TextInputStyle.Short)
+              .setMaxLength(40)
+              .setRequired(false)
+              .setValue(current?.dungeon || '')
+          ),
+          new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+              .setCustomId('level')
+              .setLabel('Key level')
+              .setStyle(TextInputStyle.Short)
+              .setMaxLength(3)
+              .setRequired(false)
+              .setValue(current ? String(current.level) : '')
+          ),
+          new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+              .setCustomId('rating')
+              .setLabel('M+ rating (leave empty to clear)')
+              .setStyle(TextInputStyle.Short)
+              .setMaxLength(4)
+              .setRequired(false)
+              .setValue(isValidRating(rating) ? String(rating) : '')
+          )
+        );
+
+      await interaction.showModal(modal);
+      return;
+    }
+
     if (action === 'leave') {
-      delete session.signups[userId];
+      delete roster[userId];
       saveState(state);
 
       try {
@@ -1007,11 +5677,32 @@ if (interaction.isButton()) {
         await msg.edit({ embeds: [buildSignupEmbed(session)], components: buildComponents(session.id) });
       } catch {}
 
-      await interaction.reply({ content: 'Removed you from signups.', ephemeral: true });
+      await interaction.reply({ content: onStandby ? 'Removed you from the standby list.' : 'Removed you from signups.', ephemeral: true });
       return;
     }
   }
+}
+
+// A bad record or a Discord hiccup fails the one interaction, not the whole bot.
+client.on('interactionCreate', async (interaction) => {
+  try {
+    await handleInteraction(interaction);
+  } catch (err) {
+    console.error('Interaction failed:', err);
+    if (!interaction.isRepliable() || interaction.replied || interaction.deferred) return;
+    try {
+      await interaction.reply({ content: '⚠️ Something went wrong handling that. Please try again.', ephemeral: true });
+    } catch {}
+  }
 });
 
+// Let queued state writes finish before the process goes away.
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    await writeChain;
+    process.exit(0);
+  });
+}
+
 await registerCommands();
 client.login(process.env.DISCORD_TOKEN);
\ No newline at end of file